@@ -1,42 +1,353 @@
 'use strict';
 
+var fs = require('fs');
+var naming = require('./naming');
 var path = require('path');
 
+/**
+ * The files that own each module key in the current compilation, indexed by
+ * the global name, module root and key they resolve to. This is kept outside
+ * of the plugin since babel reuses plugin instances, and can be cleared
+ * through `resetModuleKeys` when a new compilation starts.
+ * @type {!Object<string, string>}
+ */
+var moduleKeyOwners = {};
+
+/**
+ * The entries of the declaration files set through the `declarations` option,
+ * indexed by declaration file and then by the transformed file they come
+ * from. Like the module keys, they're cleared by `resetModuleKeys`.
+ * @type {!Object<string, !Object<string, !Array<{parts: !Array<string>, type: string}>>>}
+ */
+var declarationEntries = {};
+
 module.exports = function(babel) {
   var t = babel.types;
-  var createdGlobals = {};
-  var filenameNoExtCache;
+  var typeDeclarations = [
+    'DeclareClass',
+    'DeclareFunction',
+    'DeclareInterface',
+    'DeclareModule',
+    'DeclareTypeAlias',
+    'DeclareVariable',
+    'InterfaceDeclaration',
+    'OpaqueType',
+    'TSDeclareFunction',
+    'TSInterfaceDeclaration',
+    'TSTypeAliasDeclaration',
+    'TypeAlias'
+  ];
 
-  /**
-   * Throws error if filename is unknown.
-   * @param {string} filename
-   */
-  function assertFilenameRequired(filename) {
-    if (filename === 'unknown') {
-      throw new Error('The babel  requires that filename be given');
-    }
-  }
+  var buildDynamicImportHelper = babel.template([
+    'function HELPER(root, key, getNamed, getDefault, url, getLoader) {',
+    '  function read(getter) {',
+    '    try {',
+    '      return getter.call(root);',
+    '    } catch (e) {',
+    '      return undefined;',
+    '    }',
+    '  }',
+    '  function getNamespace() {',
+    '    var named = read(getNamed);',
+    '    var value = read(getDefault);',
+    '    if (named === undefined && value === undefined) {',
+    '      return undefined;',
+    '    }',
+    '    var namespace = {};',
+    '    Object.keys(named || {}).forEach(function(name) {',
+    '      namespace[name] = named[name];',
+    '    });',
+    '    if (value !== undefined) {',
+    '      namespace["default"] = value;',
+    '    }',
+    '    return namespace;',
+    '  }',
+    '  function loadScript(url) {',
+    '    return new Promise(function(resolve, reject) {',
+    '      var script = document.createElement("script");',
+    '      script.src = url;',
+    '      script.onload = resolve;',
+    '      script.onerror = function() {',
+    '        reject(new Error("Failed to load \\"" + url + "\\""));',
+    '      };',
+    '      document.head.appendChild(script);',
+    '    });',
+    '  }',
+    '  return Promise.resolve().then(function() {',
+    '    var namespace = getNamespace();',
+    '    if (namespace || !url) {',
+    '      return namespace;',
+    '    }',
+    '    var loader = (getLoader && read(getLoader)) || loadScript;',
+    '    return Promise.resolve(loader(url, key)).then(getNamespace);',
+    '  }).then(function(namespace) {',
+    '    if (!namespace) {',
+    '      throw new Error("The module \\"" + key + "\\" is not available");',
+    '    }',
+    '    return namespace;',
+    '  });',
+    '}'
+  ].join('\n'));
+
+  var buildNamespaceHelper = babel.template([
+    'function HELPER(named, value, root) {',
+    '  function read(source) {',
+    '    return root ? source.call(root) : source;',
+    '  }',
+    '  var namespace = Object.create ? Object.create(null) : {};',
+    '  var names = Object.keys(read(named) || {});',
+    '  if (read(value) !== undefined && names.indexOf("default") === -1) {',
+    '    names.push("default");',
+    '  }',
+    '  names.sort().forEach(function(name) {',
+    '    function get() {',
+    '      return name === "default" ? read(value) : read(named)[name];',
+    '    }',
+    '    if (root) {',
+    '      Object.defineProperty(namespace, name, {enumerable: true, get: get});',
+    '    } else {',
+    '      namespace[name] = get();',
+    '    }',
+    '  });',
+    '  if (typeof Symbol === "function" && Symbol.toStringTag) {',
+    '    Object.defineProperty(namespace, Symbol.toStringTag, {value: "Module"});',
+    '  }',
+    '  return Object.freeze ? Object.freeze(namespace) : namespace;',
+    '}'
+  ].join('\n'));
+
+  var buildStrictImportsHelper = babel.template([
+    'function HELPER(root, keys, file, source, specifier, fallbackRoot, fallbackKeys) {',
+    '  function find(value, keys) {',
+    '    for (var i = 0; i < keys.length; i++) {',
+    '      if (value === undefined || value === null || !(keys[i] in Object(value))) {',
+    '        return {missing: i};',
+    '      }',
+    '      value = value[keys[i]];',
+    '    }',
+    '    return {value: value};',
+    '  }',
+    '  var result = find(root, keys);',
+    '  if (!("missing" in result)) {',
+    '    return result.value;',
+    '  }',
+    '  if (fallbackKeys && !("missing" in find(fallbackRoot, fallbackKeys))) {',
+    '    return undefined;',
+    '  }',
+    '  var i = result.missing;',
+    '  var isBinding = i === keys.length - 1 && specifier !== "default" && specifier !== "*";',
+    '  var reason = isBinding ? "the module does not export it" : "the module has not been loaded";',
+    '  throw new Error(',
+    '    "\\"" + file + "\\" imports \\"" + specifier + "\\" from \\"" + source + "\\", but " + reason +',
+    '    " (\\"" + keys.slice(0, i + 1).join(".") + "\\" is missing)"',
+    '  );',
+    '}'
+  ].join('\n'));
+
+  var buildGlobalRoot = babel.template(
+    'typeof globalThis !== "undefined" ? globalThis : typeof self !== "undefined" ? self : ' +
+    'typeof window !== "undefined" ? window : global'
+  );
+
+  var buildUmdWrapper = babel.template([
+    '(function(root, factory) {',
+    '  var exports = factory.call(root);',
+    '  if (typeof module === "object" && module.exports && exports !== undefined) {',
+    '    module.exports = exports;',
+    '  }',
+    '})(ROOT, FACTORY);'
+  ].join('\n'));
+
+  var buildAsyncHelper = babel.template([
+    'function HELPER(root, key, dependencies, body) {',
+    '  var registry = root.__globalsReady;',
+    '  if (!registry) {',
+    '    registry = {};',
+    '    Object.defineProperty(root, "__globalsReady", {value: registry});',
+    '  }',
+    '  var pending = dependencies.map(function(dependency) {',
+    '    return registry[dependency];',
+    '  }).filter(function(promise) {',
+    '    return promise && promise !== true;',
+    '  });',
+    '  var result = pending.length ? Promise.all(pending).then(function() {',
+    '    return body.call(root);',
+    '  }) : body.call(root);',
+    '  if (result && typeof result.then === "function") {',
+    '    registry[key] = result.then(function() {',
+    '      registry[key] = true;',
+    '    });',
+    '  } else {',
+    '    registry[key] = true;',
+    '  }',
+    '}'
+  ].join('\n'));
+
+  var buildConflictsHelper = babel.template([
+    'function HELPER(root, keys, file, mode) {',
+    '  var owners = root.__globalOwners;',
+    '  if (!owners) {',
+    '    owners = {};',
+    '    Object.defineProperty(root, "__globalOwners", {value: owners});',
+    '  }',
+    '  keys.forEach(function(key) {',
+    '    if (!Object.prototype.hasOwnProperty.call(owners, key)) {',
+    '      owners[key] = file;',
+    '      return;',
+    '    }',
+    '    if (owners[key] === file) {',
+    '      return;',
+    '    }',
+    '    var message = "The global \\"" + key + "\\" of \\"" + file + "\\" is already owned by \\"" +',
+    '      owners[key] + "\\"";',
+    '    if (mode === "throw") {',
+    '      throw new Error(message);',
+    '    }',
+    '    if (typeof console !== "undefined") {',
+    '      console.warn(message);',
+    '    }',
+    '  });',
+    '}'
+  ].join('\n'));
+
+  var buildHotHelper = babel.template([
+    'function HELPER(root, key, dependencies) {',
+    '  var registry = root.__globalsHot;',
+    '  if (!registry) {',
+    '    registry = {',
+    '      modules: {},',
+    '      getDependents: function(key) {',
+    '        return Object.keys(registry.modules).filter(function(dependent) {',
+    '          return registry.modules[dependent].dependencies.indexOf(key) !== -1;',
+    '        });',
+    '      },',
+    '      update: function(key) {',
+    '        registry.getDependents(key).forEach(function(dependent) {',
+    '          registry.modules[dependent].acceptHandlers.forEach(function(handler) {',
+    '            handler(key);',
+    '          });',
+    '        });',
+    '      }',
+    '    };',
+    '    Object.defineProperty(root, "__globalsHot", {value: registry});',
+    '  }',
+    '  var previous = registry.modules[key];',
+    '  var data;',
+    '  if (previous) {',
+    '    data = {};',
+    '    previous.disposeHandlers.forEach(function(handler) {',
+    '      handler(data);',
+    '    });',
+    '  }',
+    '  var hot = registry.modules[key] = {',
+    '    acceptHandlers: [],',
+    '    data: data,',
+    '    dependencies: dependencies,',
+    '    disposeHandlers: [],',
+    '    accept: function(handler) {',
+    '      hot.acceptHandlers.push(handler);',
+    '    },',
+    '    dispose: function(handler) {',
+    '      hot.disposeHandlers.push(handler);',
+    '    }',
+    '  };',
+    '  return hot;',
+    '}'
+  ].join('\n'));
+
+  var buildLazyReexportsHelper = babel.template([
+    'function HELPER(exports, root, sources) {',
+    '  var hasOwn = Object.prototype.hasOwnProperty;',
+    '  function resolve(key) {',
+    '    var result = {found: false, conflict: false};',
+    '    if (key === "default") {',
+    '      return result;',
+    '    }',
+    '    sources.forEach(function(getSource) {',
+    '      var source = getSource.call(root);',
+    '      if (source && hasOwn.call(source, key)) {',
+    '        result.conflict = result.conflict || (result.found && result.value !== source[key]);',
+    '        result.found = true;',
+    '        result.value = source[key];',
+    '      }',
+    '    });',
+    '    return result;',
+    '  }',
+    '  function isOwn(target, key) {',
+    '    return typeof key !== "string" || hasOwn.call(target, key);',
+    '  }',
+    '  return new Proxy(exports, {',
+    '    get: function(target, key) {',
+    '      if (isOwn(target, key)) {',
+    '        return target[key];',
+    '      }',
+    '      var result = resolve(key);',
+    '      if (result.conflict) {',
+    '        throw new Error("The export \\"" + key + "\\" is provided by more than one export * source");',
+    '      }',
+    '      return result.value;',
+    '    },',
+    '    has: function(target, key) {',
+    '      if (isOwn(target, key)) {',
+    '        return key in target;',
+    '      }',
+    '      var result = resolve(key);',
+    '      return result.found && !result.conflict;',
+    '    },',
+    '    ownKeys: function(target) {',
+    '      var keys = Reflect.ownKeys(target);',
+    '      sources.forEach(function(getSource) {',
+    '        Object.keys(getSource.call(root) || {}).forEach(function(key) {',
+    '          var result = resolve(key);',
+    '          if (keys.indexOf(key) === -1 && result.found && !result.conflict) {',
+    '            keys.push(key);',
+    '          }',
+    '        });',
+    '      });',
+    '      return keys;',
+    '    },',
+    '    getOwnPropertyDescriptor: function(target, key) {',
+    '      if (isOwn(target, key)) {',
+    '        return Reflect.getOwnPropertyDescriptor(target, key);',
+    '      }',
+    '      var result = resolve(key);',
+    '      if (result.found && !result.conflict) {',
+    '        return {configurable: true, enumerable: true, writable: false, value: result.value};',
+    '      }',
+    '    }',
+    '  });',
+    '}'
+  ].join('\n'));
 
   /**
-   * Assigns the given declaration to the appropriate global variable.
+   * Assigns the given declaration to the appropriate global variable. When
+   * the declaration's id is a destructuring pattern, each of the bindings it
+   * introduces is assigned to its own global.
    * @param {!Object} state
    * @param {!Array} nodes
    * @param {!Declaration} declaration
    */
   function assignDeclarationToGlobal(state, nodes, declaration) {
-    var filenameNoExt = getFilenameNoExt(state.file.opts.filename);
-    var expr = getGlobalExpression(state, filenameNoExt, declaration.id.name);
-    assignToGlobal(expr, nodes, declaration.id);
+    var filenameNoExt = getFilenameNoExt(state);
+    getPatternIdentifiers(declaration.id).forEach(function(id) {
+      var expr = getGlobalExpression(state, filenameNoExt, id.name, false, 'export');
+      if (isExportDropped(state, id.name)) {
+        return;
+      }
+      recordExport(state, id.name);
+      exportLocalToGlobal(state, expr, nodes, t.identifier(id.name));
+    });
   }
 
   /**
    * Assigns the given expression to a global with the given id.
+   * @param {!Object} state This plugin's current state object.
    * @param {!MemberExpression} expr
    * @param {!Array} nodes
    * @param {!Expression} expression
    */
-  function assignToGlobal(expr, nodes, expression) {
-    createGlobal(expr, nodes);
+  function assignToGlobal(state, expr, nodes, expression) {
+    createGlobal(state, expr);
     if (!t.isExpression(expression)) {
       expression = t.toExpression(expression);
     }
@@ -44,11 +355,312 @@ module.exports = function(babel) {
   }
 
   /**
-   * Creates the global for the given name, if it hasn't been created yet.
+   * Replaces all references to the local binding of the given named or default
+   * import specifier with the given expression, which reads from the global it was imported
+   * from, so that reassignments made by the exporting module are always visible.
+   * Calls are made through a sequence expression so that the object holding the
+   * global isn't used as `this`.
+   * @param {!NodePath} nodePath The import declaration's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!ImportSpecifier|!ImportDefaultSpecifier} specifier
+   * @param {!Expression} liveExpr
+   */
+  function bindImportLive(nodePath, state, specifier, liveExpr) {
+    state.liveImports[specifier.local.name] = liveExpr;
+    nodePath.scope.getBinding(specifier.local.name).referencePaths.forEach(function(reference) {
+      if (reference.parentPath.isExportSpecifier()) {
+        return;
+      }
+      var replacement = t.clone(liveExpr);
+      if (reference.parentPath.isCallExpression({callee: reference.node})) {
+        replacement = t.sequenceExpression([t.numericLiteral(0), replacement]);
+      }
+      replacement.loc = reference.node.loc;
+      reference.replaceWith(replacement);
+    });
+  }
+
+  /**
+   * Builds the code for the `async` option, which evaluates the given module
+   * body through a helper that first waits for the modules it depends on that
+   * haven't finished evaluating yet, found in a registry of their completion
+   * promises indexed by key. The body is wrapped in an async function when it
+   * uses top level `await`, in which case its own promise is registered too.
+   * The dependencies are only known after the imports are replaced, so they're
+   * added to the returned call later.
+   * @param {!NodePath} nodePath The program's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!Array} contents The statements of the module's body.
+   * @return {!Array} The statements that should replace the module's body.
+   */
+  function buildAsyncEvaluation(nodePath, state, contents) {
+    naming.assertFilenameRequired(state.file.opts.filename);
+    var body = t.functionExpression(null, [], t.blockStatement(contents));
+    body.async = hasTopLevelAwait(nodePath);
+    state.asyncDependencies = t.arrayExpression([]);
+
+    var helper = nodePath.scope.generateUidIdentifier('evaluate');
+    return [
+      buildAsyncHelper({HELPER: helper}),
+      t.expressionStatement(t.callExpression(helper, [
+        t.thisExpression(),
+        t.stringLiteral(state.file.metadata.globals.key),
+        state.asyncDependencies,
+        body
+      ]))
+    ];
+  }
+
+  /**
+   * Builds the code for the `conflicts` option, which registers the current
+   * file as the owner of the globals its exports are written to, before they
+   * are written. When another file already owns one of them the helper throws
+   * an error or logs a warning naming both files. Returns an empty array if
+   * the option isn't set or the module doesn't export anything.
+   * @param {!NodePath} nodePath The program's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!Array} contents The statements of the module's body.
+   * @return {!Array}
+   */
+  function buildConflictsCheck(nodePath, state, contents) {
+    var mode = state.opts.conflicts;
+    if (!mode) {
+      return [];
+    }
+    if (mode !== 'throw' && mode !== 'warn') {
+      throw new Error('Unknown conflicts mode "' + mode + '"');
+    }
+
+    var kinds = getExportKinds(state, contents);
+    var filenameNoExt = getFilenameNoExt(state);
+    var keys = [];
+    if (kinds.hasNamed || (kinds.hasDefault && state.opts.layout === 'single')) {
+      keys.push(naming.getGlobalParts(state, filenameNoExt, true, false, 'export'));
+    }
+    if (kinds.hasDefault && state.opts.layout !== 'single') {
+      keys.push(naming.getGlobalParts(state, filenameNoExt, null, false, 'export'));
+    }
+    keys = keys.map(function(parts) {
+      return naming.removeRoot(parts).join('.');
+    }).filter(function(key, index, allKeys) {
+      return allKeys.indexOf(key) === index;
+    });
+    if (!keys.length) {
+      return [];
+    }
+
+    var helper = nodePath.scope.generateUidIdentifier('registerGlobals');
+    var file = naming.getRelativeModulePath(state, path.resolve(state.file.opts.filename));
+    return [
+      buildConflictsHelper({HELPER: helper}),
+      t.expressionStatement(t.callExpression(helper, [
+        t.thisExpression(),
+        t.arrayExpression(keys.map(function(key) {
+          return t.stringLiteral(key);
+        })),
+        t.stringLiteral(file),
+        t.stringLiteral(mode)
+      ]))
+    ];
+  }
+
+  /**
+   * Builds the code that replaces a dynamic import of the module at the given
+   * path. The module's globals are read through a helper that returns a
+   * promise for its namespace, which includes both its named and default
+   * exports. If the globals aren't available yet and the `dynamicImport.url`
+   * option is set, the helper first loads the module from that url, replacing
+   * "[key]" with the module's key. This is done by adding a script tag to the
+   * page, or by calling the function at the global given as the
+   * `dynamicImport.loader` option instead, which should return a promise.
+   * @param {!NodePath} nodePath The dynamic import's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {string} source The imported path.
+   * @return {!CallExpression}
+   */
+  function buildDynamicImport(nodePath, state, source) {
+    if (!state.dynamicImportHelper) {
+      state.dynamicImportHelper = nodePath.scope.generateUidIdentifier('importGlobal');
+      state.dynamicImportRoot = nodePath.scope.generateUidIdentifier('root');
+    }
+
+    var options = state.opts.dynamicImport || {};
+    var key = naming.getModuleKey(state, source);
+    var url = options.url ? t.stringLiteral(options.url.replace('[key]', key)) : t.nullLiteral();
+    return t.callExpression(state.dynamicImportHelper, [
+      state.dynamicImportRoot,
+      t.stringLiteral(key),
+      buildGetter(getGlobalExpression(state, source, null, true, 'import')),
+      buildGetter(getGlobalExpression(state, source, null, false, 'import')),
+      url,
+      options.loader ? buildGetter(buildMemberExpression(options.loader.split('.'))) : t.nullLiteral()
+    ]);
+  }
+
+  /**
+   * Builds a function that returns the given expression.
+   * @param {!Expression} expr
+   * @return {!FunctionExpression}
+   */
+  function buildGetter(expr) {
+    return t.functionExpression(null, [], t.blockStatement([t.returnStatement(expr)]));
+  }
+
+  /**
+   * Builds the code for the `lazyReexports` option, which replaces the current
+   * module's named exports object with a proxy that looks up missing keys in
+   * all the modules it re-exports from, each time they're accessed. Since one
+   * proxy handles all `export *` declarations of the module, the code is only
+   * generated for the first of them, and the others are just removed.
+   * @param {!NodePath} nodePath The first export all declaration's path.
+   * @param {!Object} state This plugin's current state object.
+   * @return {!Array} The nodes that should replace the declaration.
+   */
+  function buildLazyReexports(nodePath, state) {
+    var nodes = [];
+    if (state.lazyReexportsHelper) {
+      return nodes;
+    }
+
+    state.lazyReexportsHelper = nodePath.scope.generateUidIdentifier('reexportAll');
+    nodes.push(buildLazyReexportsHelper({HELPER: state.lazyReexportsHelper}));
+
+    var sources = nodePath.container.filter(function(node) {
+      return t.isExportAllDeclaration(node);
+    }).map(function(node) {
+      return buildGetter(
+        getGlobalExpression(state, node.source.value, true, false, 'reexport', getImportAttributes(node))
+      );
+    });
+    var expr = getGlobalExpression(state, getFilenameNoExt(state), true, false, 'export');
+    createGlobal(state, expr, true);
+    nodes.push(t.expressionStatement(t.assignmentExpression('=', expr, t.callExpression(
+      state.lazyReexportsHelper,
+      [
+        expr,
+        t.identifier('this'),
+        t.arrayExpression(sources)
+      ]
+    ))));
+    return nodes;
+  }
+
+  /**
+   * Builds a member expression that accesses the given path of properties.
+   * @param {!Array<string>} parts The identifier of the root object followed
+   *   by the names of the properties to be accessed.
+   * @return {!Expression}
+   */
+  function buildMemberExpression(parts) {
+    var expr = t.identifier(parts[0]);
+    for (var i = 1; i < parts.length; i++) {
+      expr = t.memberExpression(expr, t.stringLiteral(parts[i]), true);
+    }
+    return expr;
+  }
+
+  /**
+   * Builds the code for the namespace object of an `import * as` declaration.
+   * Since a module's default export isn't stored with its named exports, a new
+   * object containing both is created through a helper, which is added to the
+   * given nodes the first time it's needed in the current file. Like in ES6
+   * modules, the object is frozen and has a null prototype when supported.
+   * When a root object is given, the named exports object and the default
+   * export are functions that are called with it to read them, and the
+   * namespace's properties are getters that do so on each access, so that
+   * they stay live.
+   * @param {!NodePath} nodePath The import declaration's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!Expression} named The imported module's named exports object.
+   * @param {!Expression} value The imported module's default export.
+   * @param {!Array} nodes
+   * @param {Expression=} opt_root The object to read live exports from.
+   * @return {!CallExpression}
+   */
+  function buildNamespace(nodePath, state, named, value, nodes, opt_root) {
+    if (!state.namespaceHelper) {
+      state.namespaceHelper = nodePath.scope.generateUidIdentifier('namespace');
+      nodes.push(buildNamespaceHelper({HELPER: state.namespaceHelper}));
+    }
+    var args = [named, value];
+    if (opt_root) {
+      args.push(opt_root);
+    }
+    return t.callExpression(state.namespaceHelper, args);
+  }
+
+  /**
+   * Builds the namespace object for an `import * as` declaration of a module
+   * from its globals. When the `strictImports` option is set, both the named
+   * exports object and the default export are read through its helper, which
+   * accepts either of them being missing as long as the other one exists, since
+   * modules only create the globals for the kinds of exports they have. When
+   * the `liveBindings` or `hot` options are set, the globals are read each
+   * time the namespace's properties are accessed, through getters.
+   * @param {!NodePath} nodePath The import declaration's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!MemberExpression} named The imported module's named exports global.
+   * @param {!Object<string, string>} attributes The declaration's import attributes.
+   * @param {!Array} nodes
+   * @return {!CallExpression}
+   */
+  function buildNamespaceImport(nodePath, state, named, attributes, nodes) {
+    var value = getGlobalExpression(state, nodePath.node.source.value, null, false, 'import', attributes);
+    if (state.opts.strictImports) {
+      var strictNamed = getStrictImportExpression(nodePath, state, named, '*', nodes, value);
+      value = getStrictImportExpression(nodePath, state, value, '*', nodes, named);
+      named = strictNamed;
+    }
+    if (state.opts.liveBindings || state.opts.hot) {
+      return buildNamespace(nodePath, state, buildGetter(named), buildGetter(value), nodes, t.thisExpression());
+    }
+    return buildNamespace(nodePath, state, named, value, nodes);
+  }
+
+  /**
+   * Builds the statement that returns the current module's exports from its
+   * UMD factory, so that they can also be exported through CommonJS. Returns
+   * null if the module doesn't export anything.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!Array} contents The statements of the module's body.
+   * @return {?ReturnStatement}
+   */
+  function buildUmdReturn(state, contents) {
+    var kinds = getExportKinds(state, contents);
+    var hasDefault = kinds.hasDefault;
+    var hasNamed = kinds.hasNamed;
+    if (!hasDefault && !hasNamed) {
+      return null;
+    }
+
+    var filenameNoExt = getFilenameNoExt(state);
+    var named = getGlobalExpression(state, filenameNoExt, true, false, 'export');
+    if (!hasDefault || state.opts.layout === 'single') {
+      return t.returnStatement(named);
+    }
+
+    var exports = t.objectExpression([
+      t.objectProperty(t.identifier('default'), getGlobalExpression(state, filenameNoExt, null, false, 'export'))
+    ]);
+    if (hasNamed) {
+      exports = t.callExpression(
+        t.memberExpression(t.identifier('Object'), t.identifier('assign')),
+        [t.objectExpression([]), named, exports]
+      );
+    }
+    return t.returnStatement(exports);
+  }
+
+  /**
+   * Creates the objects containing the global for the given name, if they
+   * haven't been created yet. The assignments that create them are added to
+   * the module's prologue, so that they're all done once at the top of it.
+   * @param {!Object} state This plugin's current state object.
    * @param {!MemberExpression} expr
-   * @param {!Array} nodes Array to add the global creation assignments to.
+   * @param {boolean=} opt_namedPartial If the global itself should also be
+   *   created, as it's an object that exports are added to.
    */
-  function createGlobal(expr, nodes, opt_namedPartial) {
+  function createGlobal(state, expr, opt_namedPartial) {
     var exprs = [];
     while (t.isMemberExpression(expr)) {
       exprs.push(expr);
@@ -58,9 +670,9 @@ module.exports = function(babel) {
     var currGlobalName = '';
     for (var i = exprs.length - 2; opt_namedPartial ? i >= 0 : i > 0; i--) {
       currGlobalName += '.' + exprs[i].property.value;
-      if (!createdGlobals[currGlobalName]) {
-        createdGlobals[currGlobalName] = true;
-        nodes.push(t.expressionStatement(
+      if (!state.createdGlobals[currGlobalName]) {
+        state.createdGlobals[currGlobalName] = true;
+        state.prologue.push(t.expressionStatement(
           t.assignmentExpression('=', exprs[i], t.logicalExpression(
             '||',
             exprs[i],
@@ -71,89 +683,790 @@ module.exports = function(babel) {
     }
   }
 
+  /**
+   * Exports the given local binding to the global represented by the given
+   * expression. The value is just assigned to the global by default, but when
+   * the `liveBindings` option is set the global is defined as a getter, so that
+   * later reassignments of the binding are also visible to importers.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!MemberExpression} expr
+   * @param {!Array} nodes
+   * @param {!Expression} id
+   */
+  function exportLocalToGlobal(state, expr, nodes, id) {
+    if (!state.opts.liveBindings) {
+      assignToGlobal(state, expr, nodes, id);
+      return;
+    }
+
+    createGlobal(state, expr);
+    nodes.push(t.expressionStatement(t.callExpression(
+      t.memberExpression(t.identifier('Object'), t.identifier('defineProperty')),
+      [
+        expr.object,
+        expr.property,
+        t.objectExpression([
+          t.objectProperty(t.identifier('configurable'), t.booleanLiteral(true)),
+          t.objectProperty(t.identifier('enumerable'), t.booleanLiteral(true)),
+          t.objectProperty(t.identifier('get'), t.functionExpression(
+            null,
+            [],
+            t.blockStatement([t.returnStatement(id)])
+          ))
+        ])
+      ]
+    )));
+  }
+
+  /**
+   * Maps each item of the given array to an array, and concatenates the results.
+   * @param {!Array} items
+   * @param {function(*):!Array} fn
+   * @return {!Array}
+   */
+  function flatMap(items, fn) {
+    return items.reduce(function(result, item) {
+      return result.concat(fn(item));
+    }, []);
+  }
+
+  /**
+   * Gets the entries that the current module adds to the declaration file,
+   * each with the path of a global it exports and its type. The types are
+   * `any`, unless the `importTypes` option is set, in which case they're
+   * taken from the module itself through `typeof import()`.
+   * @param {!Object} state This plugin's current state object.
+   * @return {!Array<{parts: !Array<string>, type: string}>}
+   */
+  function getDeclarationEntries(state) {
+    var filename = state.file.opts.filename;
+    var options = state.opts.declarations;
+    var moduleType = null;
+    if (options.importTypes) {
+      var source = path.relative(path.dirname(path.resolve(options.file)), naming.getModulePath(state, filename));
+      source = source.split(path.sep).join('/');
+      moduleType = 'typeof import(' + JSON.stringify(source[0] === '.' ? source : './' + source) + ')';
+    }
+
+    var entries = state.file.metadata.globals.exports.map(function(name) {
+      return {
+        parts: naming.getGlobalParts(state, filename, name === 'default' ? null : name, false, 'export'),
+        type: moduleType ? moduleType + '[' + JSON.stringify(name) + ']' : 'any'
+      };
+    });
+    if (state.reexportsAll) {
+      entries.push({
+        parts: naming.getGlobalParts(state, filename, true, false, 'export'),
+        type: moduleType ? 'Omit<' + moduleType + ', "default">' : '{ [name: string]: any }'
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Checks which kinds of exports the given module body has, ignoring type-only
+   * declarations and the exports listed in the `dropExports` option, since
+   * they're never written to the globals.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!Array} contents The statements of the module's body.
+   * @return {{hasDefault: boolean, hasNamed: boolean}}
+   */
+  function getExportKinds(state, contents) {
+    var kinds = {hasDefault: false, hasNamed: false};
+    var addName = function(name) {
+      if (isExportDropped(state, name)) {
+        return;
+      } else if (name === 'default') {
+        kinds.hasDefault = true;
+      } else {
+        kinds.hasNamed = true;
+      }
+    };
+    contents.forEach(function(node) {
+      if (t.isExportDefaultDeclaration(node)) {
+        addName('default');
+      } else if (isTypeOnly(node)) {
+        return;
+      } else if (t.isExportAllDeclaration(node)) {
+        kinds.hasNamed = true;
+      } else if (t.isExportNamedDeclaration(node) && node.declaration) {
+        if (isTypeOnly(node.declaration)) {
+          return;
+        }
+        var ids = t.isVariableDeclaration(node.declaration) ? flatMap(node.declaration.declarations, function(declarator) {
+          return getPatternIdentifiers(declarator.id);
+        }) : [node.declaration.id];
+        ids.forEach(function(id) {
+          addName(id.name);
+        });
+      } else if (t.isExportNamedDeclaration(node)) {
+        node.specifiers.forEach(function(specifier) {
+          addName(specifier.exported.name);
+        });
+      }
+    });
+    return kinds;
+  }
+
+  /**
+   * Gets the expression for the given specifier of an import from a package
+   * that was mapped to an existing global through the `externals` option.
+   * @param {string} globalPath The global the package was mapped to (e.g. "window.jQuery").
+   * @param {!ImportSpecifier|!ImportDefaultSpecifier|!ImportNamespaceSpecifier} specifier
+   * @return {!Expression}
+   */
+  function getExternalExpression(globalPath, specifier) {
+    var parts = globalPath.split('.');
+    if (t.isImportSpecifier(specifier)) {
+      parts.push(specifier.imported.name);
+    }
+    return buildMemberExpression(parts);
+  }
+
   /**
    * Gets the name of the current file without extension.
-   * @param {string} filename
+   * @param {!Object} state This plugin's current state object.
    * @return {string}
    */
-  function getFilenameNoExt(filename) {
-    if (!filenameNoExtCache) {
-      assertFilenameRequired(filename);
-      filenameNoExtCache = removeExtensions(filename);
+  function getFilenameNoExt(state) {
+    if (!state.filenameNoExt) {
+      naming.assertFilenameRequired(state.file.opts.filename);
+      state.filenameNoExt = naming.removeExtensions(state.file.opts.filename);
     }
-    return filenameNoExtCache;
+    return state.filenameNoExt;
   }
 
   /**
    * Gets the global identifier for the given information.
    * @param {!Object} state This plugin's current state object.
    * @param {string} filePath The path of the module.
-   * @param {?string} name The name of the variable being imported or exported from
-   *   the module.
+   * @param {?string|boolean} name The name of the variable being imported or exported from
+   *   the module, or true for the module's named exports object.
    * @param {boolean=} opt_isWildcard If the import or export declaration is using a wildcard.
+   * @param {string=} opt_kind If the global is being used by an "import", an
+   *   "export" or a "reexport". Defaults to "import".
+   * @param {Object<string, string>=} opt_attributes The import attributes of
+   *   the declaration, if any.
+   * @return {!MemberExpression}
+   */
+  function getGlobalExpression(state, filePath, name, opt_isWildcard, opt_kind, opt_attributes) {
+    return buildMemberExpression(naming.getGlobalParts(state, filePath, name, opt_isWildcard, opt_kind, opt_attributes));
+  }
+
+  /**
+   * Gets the import attributes of the given declaration as an object (e.g.
+   * `{type: 'json'}` for `with { type: 'json' }`). Attributes are read from
+   * the `attributes` or `assertions` properties, depending on the parser.
+   * @param {!Node} node
+   * @return {!Object<string, string>}
+   */
+  function getImportAttributes(node) {
+    var attributes = {};
+    (node.attributes || node.assertions || []).forEach(function(attribute) {
+      var key = t.isIdentifier(attribute.key) ? attribute.key.name : attribute.key.value;
+      attributes[key] = attribute.value.value;
+    });
+    return attributes;
+  }
+
+  /**
+   * Gets the value of the given import specifier for a module that matched a
+   * rule with the `inline` option, which is read and parsed as JSON at build
+   * time. Like JSON modules, it can only be imported as a default or namespace.
+   * @param {!NodePath} nodePath The import declaration's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!ImportSpecifier} specifier
+   * @param {!Array} nodes
+   * @return {!Expression}
+   */
+  function getInlinedImport(nodePath, state, specifier, nodes) {
+    naming.assertFilenameRequired(state.file.opts.filename);
+    var source = nodePath.node.source.value;
+    if (t.isImportSpecifier(specifier) && getSpecifierName(specifier.imported)) {
+      throw new Error('The module "' + source + '" is inlined, so it only has a default export');
+    }
+
+    var filePath = path.resolve(path.dirname(state.file.opts.filename), source);
+    var value = t.valueToNode(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    if (t.isImportNamespaceSpecifier(specifier)) {
+      return buildNamespace(nodePath, state, t.objectExpression([]), value, nodes);
+    }
+    return value;
+  }
+
+  /**
+   * Gets an expression that reads the given imported global each time it's
+   * evaluated. The global is accessed through a variable holding the object
+   * it's stored in, which is shared between all specifiers imported from the
+   * same object, since the global itself may not be reachable through `this`
+   * from where it's used.
+   * @param {!NodePath} nodePath The import declaration's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!MemberExpression} expr The imported global.
+   * @param {!Array} nodes Array to add the generated declarations to.
+   * @param {!Array<{expr: !Expression, id: !Identifier}>} containers The
+   *   objects that have already been stored in variables for this declaration.
    * @return {!MemberExpression}
    */
-  function getGlobalExpression(state, filePath, name, opt_isWildcard) {
-    assertFilenameRequired(state.file.opts.filename);
-    var globalName = state.opts.globalName;
-    var id;
-    if (typeof globalName === 'function') {
-        id = globalName(state, filePath, name, opt_isWildcard);
+  function getLiveImportExpression(nodePath, state, expr, nodes, containers) {
+    var container;
+    for (var i = 0; i < containers.length && !container; i++) {
+      if (t.isNodesEquivalent(containers[i].expr, expr.object)) {
+        container = containers[i];
+      }
+    }
+    if (!container) {
+      var source = naming.removeExtensions(path.basename(nodePath.node.source.value));
+      container = {
+        expr: expr.object,
+        id: nodePath.scope.generateUidIdentifier(source)
+      };
+      containers.push(container);
+      var init = container.expr;
+      if (state.opts.strictImports) {
+        init = getStrictImportExpression(nodePath, state, init, '*', nodes);
+      }
+      nodes.push(t.variableDeclaration('var', [
+        t.variableDeclarator(container.id, init)
+      ]));
+    }
+    return t.memberExpression(container.id, expr.property, true);
+  }
+
+  /**
+   * Gets all identifiers that are bound by the given pattern, in the order in
+   * which they appear. Handles nested object and array patterns, as well as
+   * default values and rest elements.
+   * @param {!LVal} pattern
+   * @return {!Array<!Identifier>}
+   */
+  function getPatternIdentifiers(pattern) {
+    if (t.isIdentifier(pattern)) {
+      return [pattern];
+    } else if (t.isObjectPattern(pattern)) {
+      return flatMap(pattern.properties, function(property) {
+        return getPatternIdentifiers(t.isObjectProperty(property) ? property.value : property.argument);
+      });
+    } else if (t.isArrayPattern(pattern)) {
+      return flatMap(pattern.elements.filter(Boolean), getPatternIdentifiers);
+    } else if (t.isAssignmentPattern(pattern)) {
+      return getPatternIdentifiers(pattern.left);
+    } else if (t.isRestElement(pattern)) {
+      return getPatternIdentifiers(pattern.argument);
     }
-    else {
-      if (name || opt_isWildcard) {
-        globalName += 'Named';
+    return [];
+  }
+
+  /**
+   * Gets the name that should be used to find the global of the given import
+   * or export specifier identifier. This is the identifier's name, except for
+   * "default", which is stored in the default global instead of with the
+   * named exports, and so returns null.
+   * @param {!Identifier} id
+   * @return {?string}
+   */
+  function getSpecifierName(id) {
+    return id.name === 'default' ? null : id.name;
+  }
+
+  /**
+   * Builds the code that reads an imported global when the `strictImports`
+   * option is set. Instead of being accessed directly, the global is read
+   * through a helper that checks that each object in its path exists, and
+   * throws a descriptive error otherwise. The helper is added to the given
+   * nodes the first time it's needed in the current file.
+   * @param {!NodePath} nodePath The import declaration's path.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!MemberExpression} expr The imported global.
+   * @param {string} specifierName The name being imported.
+   * @param {!Array} nodes
+   * @param {MemberExpression=} opt_fallback A global that's also accepted
+   *   instead of the imported one, in which case the read results in
+   *   `undefined` (e.g. the default global, for namespaces of modules without
+   *   named exports).
+   * @return {!Expression}
+   */
+  function getStrictImportExpression(nodePath, state, expr, specifierName, nodes, opt_fallback) {
+    if (!state.strictImportsHelper) {
+      state.strictImportsHelper = nodePath.scope.generateUidIdentifier('requireGlobal');
+      nodes.push(buildStrictImportsHelper({HELPER: state.strictImportsHelper}));
+    }
+
+    var file = path.relative(state.opts.moduleRoot || process.cwd(), state.file.opts.filename);
+    var args = splitMemberExpression(expr).concat([
+      t.stringLiteral(file.split(path.sep).join('/')),
+      t.stringLiteral(nodePath.node.source.value),
+      t.stringLiteral(specifierName)
+    ]);
+    if (opt_fallback) {
+      args = args.concat(splitMemberExpression(opt_fallback));
+    }
+    return t.callExpression(state.strictImportsHelper, args);
+  }
+
+  /**
+   * Handles an import from a package that wasn't mapped through the `externals`
+   * option, according to the `unmappedExternals` option. The import is dropped
+   * by default, but it's also possible to warn about it or to throw an error.
+   * @param {!Object} state This plugin's current state object.
+   * @param {string} source The name of the imported package.
+   */
+  function handleUnmappedExternal(state, source) {
+    var message = 'The package "' + source + '" is not mapped to a global in the ' +
+      '"externals" option, so its import will be removed';
+    switch (state.opts.unmappedExternals) {
+      case 'throw':
+        throw new Error(message);
+      case 'warn':
+        state.file.log.warn(message);
+        break;
+    }
+  }
+
+  /**
+   * Checks if the given program uses `await` outside of functions, including
+   * `for await` loops.
+   * @param {!NodePath} nodePath The program's path.
+   * @return {boolean}
+   */
+  function hasTopLevelAwait(nodePath) {
+    var found = false;
+    nodePath.traverse({
+      AwaitExpression: function() {
+        found = true;
+      },
+      ForAwaitStatement: function() {
+        found = true;
+      },
+      ForOfStatement: function(forPath) {
+        found = found || forPath.node.await === true;
+      },
+      Function: function(functionPath) {
+        functionPath.skip();
+      }
+    });
+    return found;
+  }
+
+  /**
+   * Moves the import declarations of the given module body before all other
+   * statements, keeping their relative order, as they're hoisted in ES6
+   * modules. This way the bindings they create are always replaced before any
+   * export of them is, whatever the order they were written in.
+   * @param {!Array} body The statements of the module's body.
+   * @return {!Array}
+   */
+  function hoistImports(body) {
+    var imports = body.filter(function(node) {
+      return t.isImportDeclaration(node);
+    });
+    return imports.concat(body.filter(function(node) {
+      return !t.isImportDeclaration(node);
+    }));
+  }
+
+  /**
+   * Checks if the export with the given name should be left out of the current
+   * module's globals, because it was listed in the `dropExports` option.
+   * @param {!Object} state This plugin's current state object.
+   * @param {string} name
+   * @return {boolean}
+   */
+  function isExportDropped(state, name) {
+    var dropExports = state.opts.dropExports || {};
+    var key = state.file.metadata.globals.key;
+    return dropExports.hasOwnProperty(key) && dropExports[key].indexOf(name) !== -1;
+  }
+
+  /**
+   * Checks if the given import or export declaration or specifier, or exported
+   * declaration, only deals with types, as in Flow or TypeScript. These have
+   * no runtime value, so they shouldn't be read from or assigned to globals.
+   * @param {!Node} node
+   * @return {boolean}
+   */
+  function isTypeOnly(node) {
+    return node.importKind === 'type' || node.importKind === 'typeof' || node.exportKind === 'type' ||
+      node.declare === true || typeDeclarations.indexOf(node.type) !== -1;
+  }
+
+  /**
+   * Records that the current module depends on the module at the given path,
+   * if it's a relative or absolute path, in its `globals` metadata, together
+   * with the names it imports from it. Modules that are imported dynamically
+   * are recorded in `dynamicDependencies` instead, since they're loaded on
+   * demand and don't need to be evaluated before the current module.
+   * @param {!Object} state This plugin's current state object.
+   * @param {string} source The imported path.
+   * @param {!Array<string>} names The imported names, with "*" standing for
+   *   all of the module's exports.
+   * @param {Object<string, string>=} opt_attributes The import attributes of
+   *   the declaration, if any.
+   * @param {boolean=} opt_isDynamic If the module is imported dynamically.
+   */
+  function recordDependency(state, source, names, opt_attributes, opt_isDynamic) {
+    if (!source.match(/^[\./]/)) {
+      return;
+    }
+    naming.assertFilenameRequired(state.file.opts.filename);
+    var key = naming.getModuleKey(state, source, opt_attributes);
+    var metadata = state.file.metadata.globals;
+    var dependencies = opt_isDynamic ? metadata.dynamicDependencies : metadata.dependencies;
+    if (dependencies.indexOf(key) === -1) {
+      dependencies.push(key);
+    }
+    if (!metadata.imports.hasOwnProperty(key)) {
+      metadata.imports[key] = [];
+    }
+    names.forEach(function(name) {
+      if (metadata.imports[key].indexOf(name) === -1) {
+        metadata.imports[key].push(name);
       }
+    });
+  }
 
-      filePath = path.resolve(path.dirname(state.file.opts.filename), filePath);
-      var splitPath = filePath.split(path.sep);
-      var moduleName = splitPath[splitPath.length - 1];
+  /**
+   * Records the given export name in the current module's `globals` metadata.
+   * @param {!Object} state This plugin's current state object.
+   * @param {string} name
+   */
+  function recordExport(state, name) {
+    var exports = state.file.metadata.globals.exports;
+    if (exports.indexOf(name) === -1) {
+      exports.push(name);
+    }
+  }
 
-      id = 'this.' + globalName + '.' + moduleName + (name && name !== true ? '.' + name : '');
+  /**
+   * Registers the current file as the owner of its module key, throwing an
+   * error if a different file has already resolved to the same key. This is
+   * only done when the `naming` option is set to "relative", since file names
+   * are expected to repeat otherwise. Files are only compared with others that
+   * use the same global name and module root.
+   * @param {!Object} state This plugin's current state object.
+   */
+  function registerModuleKey(state) {
+    var filename = state.file.opts.filename;
+    if (state.opts.naming !== 'relative' || typeof state.opts.globalName === 'function' ||
+      filename === 'unknown') {
+      return;
     }
 
-    var parts = id.split('.');
-    var expr = t.identifier(parts[0]);
-    for (var i = 1; i < parts.length; i++) {
-      expr = t.memberExpression(expr, t.stringLiteral(parts[i]), true);
+    filename = path.resolve(filename);
+    var key = naming.getModuleKey(state, filename);
+    var ownerKey = JSON.stringify([
+      naming.getRule(state, filename).globalName || state.opts.globalName,
+      path.resolve(state.opts.moduleRoot || process.cwd()),
+      key
+    ]);
+    var owner = moduleKeyOwners[ownerKey];
+    if (owner && owner !== filename) {
+      throw new Error(
+        'The files "' + owner + '" and "' + filename + '" both resolve to the global key "' +
+        key + '"'
+      );
     }
-    return expr;
+    moduleKeyOwners[ownerKey] = filename;
   }
 
   /**
-   * Removes all extensions from the given filename.
-   * @param {string} filename
+   * Renders the TypeScript type of the given node of the declarations tree,
+   * which is an object type with its children as properties, intersected with
+   * any types the node itself has.
+   * @param {!{children: !Object, types: !Array<string>}} node
+   * @param {string} indent
    * @return {string}
    */
-  function removeExtensions(filename) {
-    var extension = path.extname(filename);
-    while (extension !== '') {
-      filename = path.basename(filename, extension);
-      extension = path.extname(filename);
+  function renderDeclarationType(node, indent) {
+    var types = node.types.slice();
+    var names = Object.keys(node.children).sort();
+    if (names.length) {
+      types.unshift('{\n' + names.map(function(name) {
+        var type = renderDeclarationType(node.children[name], indent + '  ');
+        return indent + '  ' + JSON.stringify(name) + ': ' + type + ';\n';
+      }).join('') + indent + '}');
+    }
+    return types.length ? types.join(' & ') : '{}';
+  }
+
+  /**
+   * Replaces the node at the given path with the given nodes. Generated nodes
+   * inherit the location of the node they're replacing, so that source maps
+   * point them to the declaration they came from.
+   * @param {!NodePath} nodePath
+   * @param {!Array} nodes
+   */
+  function replaceWithLocation(nodePath, nodes) {
+    nodes.forEach(function(node) {
+      if (!node.loc) {
+        node.loc = nodePath.node.loc;
+      }
+    });
+    nodePath.replaceWithMultiple(nodes);
+  }
+
+  /**
+   * Splits the given member expression into its root object and an array
+   * with the keys of the properties that are accessed from it.
+   * @param {!Expression} expr
+   * @return {!Array<!Expression>}
+   */
+  function splitMemberExpression(expr) {
+    var keys = [];
+    while (t.isMemberExpression(expr)) {
+      keys.unshift(expr.property);
+      expr = expr.object;
+    }
+    return [expr, t.arrayExpression(keys)];
+  }
+
+  /**
+   * Wraps the given statements according to the `wrapper` option, which can be:
+   *   - "call" (default): a closure called with the top level `this`.
+   *   - "iife": a closure called with the global object, found through
+   *     `globalThis`, `self`, `window` or `global`, whichever is available.
+   *   - "umd": like "iife", but also exporting the module through CommonJS
+   *     when `module.exports` is available.
+   *   - "none": no wrapper at all.
+   * @param {!Object} state This plugin's current state object.
+   * @param {!Array} contents
+   * @return {!Array} The statements that should be the new program body.
+   */
+  function wrapProgramBody(state, contents) {
+    var wrapper = state.opts.wrapper || 'call';
+    if (wrapper === 'none') {
+      return contents;
+    }
+
+    if (wrapper === 'umd') {
+      if (state.opts.async) {
+        throw new Error(
+          'The "umd" wrapper can\'t be used with the "async" option, since the module\'s exports may not ' +
+          'be ready when it returns'
+        );
+      }
+      var umdReturn = buildUmdReturn(state, contents);
+      if (umdReturn) {
+        contents.push(umdReturn);
+      }
+      return [buildUmdWrapper({
+        FACTORY: t.functionExpression(null, [], t.blockStatement(contents)),
+        ROOT: buildGlobalRoot().expression
+      })];
+    }
+
+    var root;
+    if (wrapper === 'call') {
+      root = t.identifier('this');
+    } else if (wrapper === 'iife') {
+      root = buildGlobalRoot().expression;
+    } else {
+      throw new Error('Unknown wrapper "' + wrapper + '"');
+    }
+    return [t.expressionStatement(t.callExpression(
+      t.memberExpression(
+        t.functionExpression(null, [], t.blockStatement(contents)),
+        t.identifier('call'),
+        false
+      ),
+      [root]
+    ))];
+  }
+
+  /**
+   * Updates the TypeScript declaration file set through the `declarations`
+   * option with the exports of the current module. The entries of all modules
+   * transformed so far are kept, indexed by file, so that the file always
+   * describes the whole global namespace tree. Paths that start with an
+   * identifier of the global object (like `this` or `window`) are declared
+   * without it, and globals whose names aren't valid identifiers are declared
+   * as properties of `Window`.
+   * @param {!Object} state This plugin's current state object.
+   */
+  function writeDeclarations(state) {
+    naming.assertFilenameRequired(state.file.opts.filename);
+    var file = path.resolve(state.opts.declarations.file);
+    declarationEntries[file] = declarationEntries[file] || {};
+    declarationEntries[file][state.file.opts.filename] = getDeclarationEntries(state);
+
+    var root = {children: {}, types: []};
+    Object.keys(declarationEntries[file]).forEach(function(filename) {
+      declarationEntries[file][filename].forEach(function(entry) {
+        var node = root;
+        naming.removeRoot(entry.parts).forEach(function(part) {
+          node.children[part] = node.children[part] || {children: {}, types: []};
+          node = node.children[part];
+        });
+        node.types.push(entry.type);
+      });
+    });
+
+    var lines = ['// Generated by babel-plugin-globals.'];
+    var windowProperties = [];
+    Object.keys(root.children).sort().forEach(function(name) {
+      var type = renderDeclarationType(root.children[name], '');
+      if (t.isValidIdentifier(name)) {
+        lines.push('declare var ' + name + ': ' + type + ';');
+      } else {
+        windowProperties.push('  ' + JSON.stringify(name) + ': ' + type.split('\n').join('\n  ') + ';');
+      }
+    });
+    if (windowProperties.length) {
+      lines.push('interface Window {', windowProperties.join('\n'), '}');
+    }
+
+    var contents = lines.join('\n') + '\n';
+    if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== contents) {
+      fs.writeFileSync(file, contents);
     }
-    return filename;
   }
 
   return {
+    /**
+     * Enables parsing of dynamic imports and of the `export * as ns from` and
+     * `export v from` re-export forms.
+     * @param {!Object} opts
+     * @param {!Object} parserOpts
+     */
+    manipulateOptions: function(opts, parserOpts) {
+      parserOpts.plugins.push('dynamicImport', 'exportExtensions');
+    },
+
     visitor: {
+      Program: {
+        /**
+         * Wraps the program body in a closure, protecting local variables, after
+         * hoisting its import declarations to the top. The per-file state is initialized in this plugin's state object, so
+         * that different files can be transformed at the same time.
+         * @param {!NodePath} nodePath
+         * @param {!Object} state
+         */
+        enter: function(nodePath, state) {
+          state.asyncDependencies = null;
+          state.createdGlobals = {};
+          state.dynamicImportHelper = null;
+          state.dynamicImportRoot = null;
+          state.filenameNoExt = null;
+          state.hotModule = state.opts.hot ? nodePath.scope.generateUidIdentifier('hot') : null;
+          state.lazyReexportsHelper = null;
+          state.liveImports = {};
+          state.namespaceHelper = null;
+          state.prologue = [];
+          state.reexportsAll = false;
+          state.strictImportsHelper = null;
+          registerModuleKey(state);
+
+          var filename = state.file.opts.filename;
+          state.file.metadata.globals = {
+            key: filename === 'unknown' ? null : naming.getModuleKey(state, path.resolve(filename)),
+            dependencies: [],
+            dynamicDependencies: [],
+            exports: [],
+            imports: {}
+          };
+
+          var node = nodePath.node;
+          node.body = hoistImports(node.body);
+          node.body.unshift.apply(node.body, buildConflictsCheck(nodePath, state, node.body));
+          state.moduleBody = node.body;
+          var contents = state.opts.async ? buildAsyncEvaluation(nodePath, state, node.body) : node.body;
+          node.body = wrapProgramBody(state, contents);
+        },
+
+        /**
+         * Adds the helpers needed by dynamic imports and the prologue creating
+         * the objects that contain the module's exports to the top of the
+         * module's body, now that all of them have been replaced. Modules that
+         * need to know all of their dependencies, like the ones evaluated
+         * through the `async` option or registered in the `hot` reload
+         * registry, are also completed here.
+         * @param {!NodePath} nodePath
+         * @param {!Object} state
+         */
+        exit: function(nodePath, state) {
+          if (state.dynamicImportHelper) {
+            state.moduleBody.unshift(
+              t.variableDeclaration('var', [
+                t.variableDeclarator(state.dynamicImportRoot, t.identifier('this'))
+              ]),
+              buildDynamicImportHelper({HELPER: state.dynamicImportHelper})
+            );
+          }
+          if (state.asyncDependencies) {
+            state.file.metadata.globals.dependencies.forEach(function(key) {
+              state.asyncDependencies.elements.push(t.stringLiteral(key));
+            });
+          }
+          if (state.hotModule) {
+            naming.assertFilenameRequired(state.file.opts.filename);
+            var metadata = state.file.metadata.globals;
+            var helper = nodePath.scope.generateUidIdentifier('registerHot');
+            state.moduleBody.unshift(
+              buildHotHelper({HELPER: helper}),
+              t.variableDeclaration('var', [
+                t.variableDeclarator(state.hotModule, t.callExpression(helper, [
+                  t.thisExpression(),
+                  t.stringLiteral(metadata.key),
+                  t.arrayExpression(metadata.dependencies.map(function(key) {
+                    return t.stringLiteral(key);
+                  }))
+                ]))
+              ])
+            );
+          }
+          state.moduleBody.unshift.apply(state.moduleBody, state.prologue);
+          if (state.opts.declarations) {
+            writeDeclarations(state);
+          }
+        }
+      },
+
       /**
-       * Wraps the program body in a closure, protecting local variables.
+       * Replaces dynamic imports of relative or absolute paths with promises
+       * for the namespace of the imported module, read from its globals.
        * @param {!NodePath} nodePath
+       * @param {!Object} state
        */
-      Program: function(nodePath) {
-        createdGlobals = {};
-        filenameNoExtCache = null;
+      CallExpression: function(nodePath, state) {
+        var node = nodePath.node;
+        if (!t.isImport(node.callee) || !t.isStringLiteral(node.arguments[0])) {
+          return;
+        }
+
+        var source = node.arguments[0].value;
+        if (source.match(/^[\./]/)) {
+          recordDependency(state, source, ['*'], null, true);
+          var replacement = buildDynamicImport(nodePath, state, source);
+          replacement.loc = node.loc;
+          nodePath.replaceWith(replacement);
+        }
+      },
 
+      /**
+       * Turns `for await` loops parsed by newer parsers, which mark them with an
+       * `await` flag on a regular `for...of` loop, into the node type Babel 6
+       * knows how to generate, as the `await` would be dropped otherwise.
+       * @param {!NodePath} nodePath
+       */
+      ForOfStatement: function(nodePath) {
         var node = nodePath.node;
-        var contents = node.body;
-        node.body = [t.expressionStatement(t.callExpression(
-          t.memberExpression(
-            t.functionExpression(null, [], t.blockStatement(contents)),
-            t.identifier('call'),
-            false
-          ),
-          [t.identifier('this')]
-        ))];
+        if (node.await) {
+          nodePath.replaceWith(t.forAwaitStatement(node.left, node.right, node.body));
+        }
+      },
+
+      /**
+       * Replaces references to `module.hot` with the current module's entry in
+       * the hot reload registry, when the `hot` option is set.
+       * @param {!NodePath} nodePath
+       * @param {!Object} state
+       */
+      MemberExpression: function(nodePath, state) {
+        var node = nodePath.node;
+        if (state.hotModule && !node.computed && t.isIdentifier(node.object, {name: 'module'}) &&
+          t.isIdentifier(node.property, {name: 'hot'}) && !nodePath.scope.hasBinding('module')) {
+          nodePath.replaceWith(t.clone(state.hotModule));
+        }
       },
 
       /**
@@ -163,37 +1476,104 @@ module.exports = function(babel) {
        */
       ImportDeclaration: function(nodePath, state) {
         var replacements = [];
+        var source = nodePath.node.source.value;
+        var externals = state.opts.externals || {};
+        var specifiers = nodePath.node.specifiers.filter(function(specifier) {
+          return !isTypeOnly(specifier);
+        });
+        if (isTypeOnly(nodePath.node) || specifiers.length < nodePath.node.specifiers.length && !specifiers.length) {
+          nodePath.remove();
+          return;
+        }
+
+        var attributes = getImportAttributes(nodePath.node);
+        if (source.match(/^[\./]/) && naming.getRule(state, source, attributes).inline) {
+          specifiers.forEach(function(specifier) {
+            replacements.push(t.variableDeclaration('var', [
+              t.variableDeclarator(specifier.local, getInlinedImport(nodePath, state, specifier, replacements))
+            ]));
+          });
+          replaceWithLocation(nodePath, replacements);
+          return;
+        }
+
+        recordDependency(state, source, specifiers.map(function(specifier) {
+          if (t.isImportNamespaceSpecifier(specifier)) {
+            return '*';
+          }
+          return specifier.imported ? specifier.imported.name : 'default';
+        }), attributes);
 
-        if ( nodePath.node.source.value.match(/^[\./]/) ) {
-          nodePath.node.specifiers.forEach(function(specifier) {
+        if ( source.match(/^[\./]/) ) {
+          var containers = [];
+          specifiers.forEach(function(specifier) {
             var expr = getGlobalExpression(
               state,
-              removeExtensions(nodePath.node.source.value),
-              specifier.imported ? specifier.imported.name : null,
-              t.isImportNamespaceSpecifier(specifier)
+              source,
+              specifier.imported ? getSpecifierName(specifier.imported) : null,
+              t.isImportNamespaceSpecifier(specifier),
+              'import',
+              attributes
             );
+            if (t.isImportNamespaceSpecifier(specifier)) {
+              expr = buildNamespaceImport(nodePath, state, expr, attributes, replacements);
+            } else if (state.opts.hot || state.opts.liveBindings) {
+              bindImportLive(nodePath, state, specifier, getLiveImportExpression(nodePath, state, expr, replacements, containers));
+              return;
+            } else if (state.opts.strictImports) {
+              var specifierName = specifier.imported ? specifier.imported.name : 'default';
+              expr = getStrictImportExpression(nodePath, state, expr, specifierName, replacements);
+            }
             replacements.push(t.variableDeclaration('var', [
               t.variableDeclarator(specifier.local, expr)
             ]));
           });
+        } else if (externals.hasOwnProperty(source)) {
+          specifiers.forEach(function(specifier) {
+            replacements.push(t.variableDeclaration('var', [
+              t.variableDeclarator(specifier.local, getExternalExpression(externals[source], specifier))
+            ]));
+          });
+        } else {
+          handleUnmappedExternal(state, source);
         }
-        nodePath.replaceWithMultiple(replacements);
+        replaceWithLocation(nodePath, replacements);
       },
 
       /**
        * Replaces export all declarations with code that copies all named
        * exports from the imported file into the named exports of the current
-       * file. The final generated code will be something like this:
+       * file. The callback is given the module's `this`, since the globals are
+       * read from it. The final generated code will be something like this:
        *     Object.keys(importedGlobal).forEach(function (key) {
        *         currGlobal[key] = importedGlobal[key];
-       *     });
+       *     }, this);
        * @param {!NodePath} nodePath
        */
       ExportAllDeclaration: function(nodePath, state) {
+        var attributes = getImportAttributes(nodePath.node);
+        recordDependency(state, nodePath.node.source.value, ['*'], attributes);
+        state.reexportsAll = true;
+        if (state.opts.lazyReexports) {
+          replaceWithLocation(nodePath, buildLazyReexports(nodePath, state));
+          return;
+        }
+
         var replacements = [];
-        var expr = getGlobalExpression(state, getFilenameNoExt(state.file.opts.filename), true);
-        createGlobal(expr, replacements, true);
-        var originalGlobal = getGlobalExpression(state, nodePath.node.source.value, true);
+        var expr = getGlobalExpression(state, getFilenameNoExt(state), true, false, 'export');
+        createGlobal(state, expr, true);
+        var originalGlobal = getGlobalExpression(state, nodePath.node.source.value, true, false, 'reexport', attributes);
+        var copyStatement = t.expressionStatement(t.assignmentExpression(
+          '=',
+          t.memberExpression(expr, t.identifier('key'), true),
+          t.memberExpression(originalGlobal, t.identifier('key'), true)
+        ));
+        if (state.opts.layout === 'single') {
+          copyStatement = t.ifStatement(
+            t.binaryExpression('!==', t.identifier('key'), t.stringLiteral('default')),
+            t.blockStatement([copyStatement])
+          );
+        }
         replacements.push(t.expressionStatement(t.callExpression(
           t.memberExpression(
             t.callExpression(
@@ -205,16 +1585,10 @@ module.exports = function(babel) {
           [t.functionExpression(
             null,
             [t.identifier('key')],
-            t.blockStatement(
-              [t.expressionStatement(t.assignmentExpression(
-                '=',
-                t.memberExpression(expr, t.identifier('key'), true),
-                t.memberExpression(originalGlobal, t.identifier('key'), true)
-              ))]
-            )
-          )]
+            t.blockStatement([copyStatement])
+          ), t.thisExpression()]
         )));
-        nodePath.replaceWithMultiple(replacements);
+        replaceWithLocation(nodePath, replacements);
       },
 
       /**
@@ -224,15 +1598,40 @@ module.exports = function(babel) {
        */
       ExportDefaultDeclaration: function(nodePath, state) {
         var replacements = [];
-        var expr = getGlobalExpression(state, getFilenameNoExt(state.file.opts.filename));
+        var expr = getGlobalExpression(state, getFilenameNoExt(state), null, false, 'export');
         var expression = nodePath.node.declaration;
+        if (isExportDropped(state, 'default')) {
+          if (t.isDeclaration(expression) && expression.id) {
+            replacements.push(expression);
+          } else if (!t.isDeclaration(expression) && !t.isIdentifier(expression)) {
+            replacements.push(t.expressionStatement(expression));
+          }
+          replaceWithLocation(nodePath, replacements);
+          return;
+        }
+        recordExport(state, 'default');
         if (expression.id &&
           (t.isFunctionDeclaration(expression) || t.isClassDeclaration(expression))) {
           replacements.push(expression);
           expression = expression.id;
+        } else if (t.isFunctionDeclaration(expression)) {
+          expression = t.functionExpression(
+            null,
+            expression.params,
+            expression.body,
+            expression.generator,
+            expression.async
+          );
+        } else if (t.isClassDeclaration(expression)) {
+          expression = t.classExpression(
+            null,
+            expression.superClass,
+            expression.body,
+            expression.decorators || []
+          );
         }
-        assignToGlobal(expr, replacements, expression);
-        nodePath.replaceWithMultiple(replacements);
+        assignToGlobal(state, expr, replacements, expression);
+        replaceWithLocation(nodePath, replacements);
       },
 
       /**
@@ -243,29 +1642,72 @@ module.exports = function(babel) {
       ExportNamedDeclaration: function(nodePath, state) {
         var replacements = [];
         var node = nodePath.node;
+        var specifiers = node.specifiers.filter(function(specifier) {
+          return !isTypeOnly(specifier);
+        });
         if (node.declaration) {
           replacements.push(node.declaration);
-          if (t.isVariableDeclaration(node.declaration)) {
+          var hasValue = !isTypeOnly(node) && !isTypeOnly(node.declaration);
+          if (hasValue && t.isVariableDeclaration(node.declaration)) {
             node.declaration.declarations.forEach(assignDeclarationToGlobal.bind(null, state, replacements));
-          } else {
+          } else if (hasValue) {
             assignDeclarationToGlobal(state, replacements, node.declaration);
           }
-        } else {
-          node.specifiers.forEach(function(specifier) {
-            var exprToAssign = specifier.local;
+        } else if (!isTypeOnly(node)) {
+          if (node.source && specifiers.length) {
+            recordDependency(state, node.source.value, specifiers.map(function(specifier) {
+              if (t.isExportNamespaceSpecifier(specifier)) {
+                return '*';
+              }
+              return specifier.local ? specifier.local.name : 'default';
+            }), getImportAttributes(node));
+          }
+          specifiers.forEach(function(specifier) {
+            var filenameNoExt = getFilenameNoExt(state);
+            var expr = getGlobalExpression(
+              state,
+              filenameNoExt,
+              getSpecifierName(specifier.exported),
+              false,
+              'export'
+            );
+            if (isExportDropped(state, specifier.exported.name)) {
+              return;
+            }
+            recordExport(state, specifier.exported.name);
             if (node.source) {
-              var specifierName = specifier.local ? specifier.local.name : null;
-              exprToAssign = getGlobalExpression(state, node.source.value, specifierName);
+              var specifierName = specifier.local ? getSpecifierName(specifier.local) : null;
+              var sourceExpr = getGlobalExpression(
+                state,
+                node.source.value,
+                specifierName,
+                t.isExportNamespaceSpecifier(specifier),
+                'reexport',
+                getImportAttributes(node)
+              );
+              assignToGlobal(state, expr, replacements, sourceExpr);
+            } else {
+              var local = state.liveImports[specifier.local.name] || specifier.local;
+              exportLocalToGlobal(state, expr, replacements, t.clone(local));
             }
-
-            var filenameNoExt = getFilenameNoExt(state.file.opts.filename);
-            var expr = getGlobalExpression(state, filenameNoExt, specifier.exported.name);
-            assignToGlobal(expr, replacements, exprToAssign);
           });
         }
 
-        nodePath.replaceWithMultiple(replacements);
+        replaceWithLocation(nodePath, replacements);
       }
     }
   };
 };
+
+/**
+ * Forgets the module keys registered by the files transformed so far, so that
+ * the next ones are checked as a new compilation. Tools that transform files
+ * more than once in the same process, like watchers, should call this before
+ * each build, so that moved or renamed files don't collide with themselves.
+ * The entries of declaration files are forgotten too, so that deleted files
+ * are no longer declared.
+ */
+module.exports.resetModuleKeys = function() {
+  declarationEntries = {};
+  moduleKeyOwners = {};
+};
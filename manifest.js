@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * Finds the exports of the given module manifests that aren't imported by any
+ * of them. The result has the same format as the `dropExports` plugin option,
+ * so it can be passed to it to leave these exports out of the globals. Exports
+ * of modules imported through a namespace or re-exported through `export *`
+ * are all considered used.
+ * @param {!Array<{key: string, exports: !Array<string>, imports: !Object<string, !Array<string>>}>} manifests
+ * @param {Array<string>=} opt_entryKeys Keys of modules whose exports are used
+ *   from outside, like the entry points of the project, and shouldn't be reported.
+ * @return {!Object<string, !Array<string>>} The names of the unused exports,
+ *   indexed by the key of the module they belong to.
+ */
+function findUnusedExports(manifests, opt_entryKeys) {
+  var entryKeys = opt_entryKeys || [];
+  var importedNames = {};
+  manifests.forEach(function(manifest) {
+    Object.keys(manifest.imports).forEach(function(key) {
+      importedNames[key] = (importedNames[key] || []).concat(manifest.imports[key]);
+    });
+  });
+
+  var unusedExports = {};
+  manifests.forEach(function(manifest) {
+    var names = importedNames[manifest.key] || [];
+    if (entryKeys.indexOf(manifest.key) !== -1 || names.indexOf('*') !== -1) {
+      return;
+    }
+
+    var unusedNames = manifest.exports.filter(function(name) {
+      return names.indexOf(name) === -1;
+    });
+    if (unusedNames.length) {
+      unusedExports[manifest.key] = unusedNames;
+    }
+  });
+  return unusedExports;
+}
+
+/**
+ * Sorts the given module manifests, as generated by this plugin in each file's
+ * `globals` metadata, so that every module comes after the modules it depends
+ * on. This is the order in which the transformed files should be concatenated
+ * or loaded. Dependencies that aren't among the given manifests are ignored.
+ * Dependency cycles don't prevent sorting, but are reported in the result, as
+ * lists of the keys of the modules that take part in them.
+ * @param {!Array<{key: string, dependencies: !Array<string>}>} manifests
+ * @return {{order: !Array<!Object>, cycles: !Array<!Array<string>>}}
+ */
+function sortManifests(manifests) {
+  var manifestsByKey = {};
+  manifests.forEach(function(manifest) {
+    manifestsByKey[manifest.key] = manifest;
+  });
+
+  var order = [];
+  var cycles = [];
+  var visited = {};
+  var visiting = [];
+
+  function visit(manifest) {
+    var index = visiting.indexOf(manifest.key);
+    if (index !== -1) {
+      cycles.push(visiting.slice(index));
+      return;
+    }
+    if (visited[manifest.key]) {
+      return;
+    }
+
+    visiting.push(manifest.key);
+    manifest.dependencies.forEach(function(key) {
+      if (manifestsByKey.hasOwnProperty(key)) {
+        visit(manifestsByKey[key]);
+      }
+    });
+    visiting.pop();
+
+    visited[manifest.key] = true;
+    order.push(manifest);
+  }
+
+  manifests.forEach(visit);
+  return {
+    order: order,
+    cycles: cycles
+  };
+}
+
+module.exports = {
+  findUnusedExports: findUnusedExports,
+  sortManifests: sortManifests
+};
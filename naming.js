@@ -0,0 +1,194 @@
+'use strict';
+
+var path = require('path');
+
+/**
+ * The identifiers of the global object that globals can be read from.
+ * @type {!Array<string>}
+ */
+var ROOTS = ['this', 'globalThis', 'self', 'window'];
+
+/**
+ * Throws error if filename is unknown.
+ * @param {string} filename
+ */
+function assertFilenameRequired(filename) {
+  if (filename === 'unknown') {
+    throw new Error('The babel  requires that filename be given');
+  }
+}
+
+/**
+ * Gets the segments of the path of the global for the given information,
+ * starting with the root object (e.g. `['this', 'myGlobal', 'foo']`).
+ * @param {!Object} state The plugin's current state object.
+ * @param {string} filePath The path of the module.
+ * @param {?string|boolean} name The name of the variable being imported or exported from
+ *   the module, or true for the module's named exports object.
+ * @param {boolean=} opt_isWildcard If the import or export declaration is using a wildcard.
+ * @param {string=} opt_kind If the global is being used by an "import", an
+ *   "export" or a "reexport". Defaults to "import".
+ * @param {Object<string, string>=} opt_attributes The import attributes of
+ *   the declaration, if any.
+ * @return {!Array<string>}
+ */
+function getGlobalParts(state, filePath, name, opt_isWildcard, opt_kind, opt_attributes) {
+  assertFilenameRequired(state.file.opts.filename);
+  if (opt_kind === 'export') {
+    // The current file's extensions are needed to find the rule it matches.
+    // It's resolved here, since it'd be relative to its own directory otherwise.
+    filePath = path.resolve(state.file.opts.filename);
+  }
+  var rule = getRule(state, filePath, opt_attributes);
+  var globalName = rule.globalName || state.opts.globalName;
+  var parts;
+  if (typeof globalName === 'function') {
+    var isNamespace = !!opt_isWildcard || name === true;
+    var modulePath = getModulePath(state, filePath);
+    var context = {
+      absolutePath: modulePath,
+      attributes: opt_attributes || {},
+      filename: state.file.opts.filename,
+      isDefault: !name && !isNamespace,
+      isNamespace: isNamespace,
+      kind: opt_kind || 'import',
+      name: name && name !== true ? name : null,
+      relativePath: getRelativeModulePath(state, modulePath)
+    };
+    // The second argument is kept as it always was for older functions: the
+    // file name without extensions, except for re-exports, which get the source.
+    var legacyPath = opt_kind === 'reexport' ? filePath : removeExtensions(filePath);
+    parts = globalName(state, legacyPath, name, opt_isWildcard, context);
+    if (typeof parts === 'string') {
+      parts = parts.split('.');
+    }
+  }
+  else if (state.opts.layout === 'single') {
+    parts = ['this', globalName, getModuleKey(state, filePath, opt_attributes)];
+    if (name && name !== true) {
+      parts.push(name);
+    } else if (!name && !opt_isWildcard) {
+      parts.push('default');
+    }
+  }
+  else {
+    if (name || opt_isWildcard) {
+      globalName += 'Named';
+    }
+
+    parts = ['this', globalName, getModuleKey(state, filePath, opt_attributes)];
+    if (name && name !== true) {
+      parts.push(name);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Gets the key that identifies the module at the given path inside the
+ * global objects. By default this is the module's file name, but when the
+ * `naming` option is set to "relative" it's the module's path relative to
+ * `moduleRoot` instead, so that files with the same name don't collide.
+ * The `suffix` of the rule matched by the module is added to the key.
+ * @param {!Object} state The plugin's current state object.
+ * @param {string} filePath The path of the module, relative to the current file.
+ * @param {Object<string, string>=} opt_attributes The import attributes used
+ *   to import the module, if any.
+ * @return {string}
+ */
+function getModuleKey(state, filePath, opt_attributes) {
+  var modulePath = getModulePath(state, filePath);
+  var suffix = getRule(state, filePath, opt_attributes).suffix || '';
+  if (state.opts.naming !== 'relative') {
+    return path.basename(modulePath) + suffix;
+  }
+  return getRelativeModulePath(state, modulePath) + suffix;
+}
+
+/**
+ * Gets the absolute path of the module at the given path, without extensions.
+ * @param {!Object} state The plugin's current state object.
+ * @param {string} filePath The path of the module, relative to the current file.
+ * @return {string}
+ */
+function getModulePath(state, filePath) {
+  var resolvedPath = path.resolve(path.dirname(state.file.opts.filename), filePath);
+  return path.join(path.dirname(resolvedPath), removeExtensions(path.basename(resolvedPath)));
+}
+
+/**
+ * Gets the given absolute module path relative to `moduleRoot`, which
+ * defaults to the current working directory, always separated by "/".
+ * @param {!Object} state The plugin's current state object.
+ * @param {string} modulePath
+ * @return {string}
+ */
+function getRelativeModulePath(state, modulePath) {
+  var moduleRoot = path.resolve(state.opts.moduleRoot || process.cwd());
+  return path.relative(moduleRoot, modulePath).split(path.sep).join('/');
+}
+
+/**
+ * Gets the first rule in the `rules` option that matches the module at the
+ * given path. A rule matches when its `extension` is one of the extensions
+ * of the path (so ".soy" matches both "./foo.soy" and "foo.soy.js") and
+ * all of its `attributes` were used to import the module. Returns an empty
+ * rule, which keeps the default behavior, when none match.
+ * @param {!Object} state The plugin's current state object.
+ * @param {string} filePath The path of the module.
+ * @param {Object<string, string>=} opt_attributes The import attributes used
+ *   to import the module, if any.
+ * @return {!Object}
+ */
+function getRule(state, filePath, opt_attributes) {
+  var extensions = path.basename(filePath).split('.').slice(1).map(function(extension) {
+    return '.' + extension;
+  });
+  var attributes = opt_attributes || {};
+  var rules = (state.opts.rules || []).filter(function(rule) {
+    var ruleAttributes = rule.attributes || {};
+    return (!rule.extension || extensions.indexOf(rule.extension) !== -1) &&
+      Object.keys(ruleAttributes).every(function(key) {
+        return attributes[key] === ruleAttributes[key];
+      });
+  });
+  return rules[0] || {};
+}
+
+/**
+ * Removes all extensions from the given filename.
+ * @param {string} filename
+ * @return {string}
+ */
+function removeExtensions(filename) {
+  var extension = path.extname(filename);
+  while (extension !== '') {
+    filename = path.basename(filename, extension);
+    extension = path.extname(filename);
+  }
+  return filename;
+}
+
+/**
+ * Removes the root object from the given segments of the path of a global,
+ * if it's one of the identifiers that refer to the global object, so that
+ * paths read through different roots can be compared.
+ * @param {!Array<string>} parts
+ * @param {Array<string>=} opt_roots The identifiers to treat as roots, instead
+ *   of the default ones.
+ * @return {!Array<string>}
+ */
+function removeRoot(parts, opt_roots) {
+  return (opt_roots || ROOTS).indexOf(parts[0]) === -1 ? parts : parts.slice(1);
+}
+
+module.exports = {
+  assertFilenameRequired: assertFilenameRequired,
+  getGlobalParts: getGlobalParts,
+  getModuleKey: getModuleKey,
+  getModulePath: getModulePath,
+  getRelativeModulePath: getRelativeModulePath,
+  getRule: getRule,
+  removeExtensions: removeExtensions,
+  removeRoot: removeRoot
+};
@@ -0,0 +1,352 @@
+'use strict';
+
+var fs = require('fs');
+var naming = require('./naming');
+var path = require('path');
+
+/**
+ * A codemod plugin that does the reverse of the main plugin: it finds reads
+ * from the globals of modules in legacy code (e.g. `this.myGlobal.foo` or
+ * `this.myGlobalNamed.foo.bar`) and replaces them with ES6 imports of the
+ * modules they belong to. The globals of each module are computed in the same
+ * way as the main plugin does, from the same options.
+ */
+module.exports = function(babel) {
+  var t = babel.types;
+  var globalsCache = {};
+
+  /**
+   * Adds the import declarations collected for the current file to the top of
+   * its body. Named imports get their own declaration when the module is also
+   * imported as a namespace, since they can't be combined.
+   * @param {!NodePath} nodePath The program's path.
+   * @param {!Object} state This plugin's current state object.
+   */
+  function addImports(nodePath, state) {
+    var declarations = [];
+    state.imports.forEach(function(imported) {
+      var source = t.stringLiteral(imported.source);
+      var specifiers = imported.defaultId ? [t.importDefaultSpecifier(imported.defaultId)] : [];
+      var named = Object.keys(imported.namedIds).map(function(name) {
+        return t.importSpecifier(imported.namedIds[name], t.identifier(name));
+      });
+      if (imported.namespaceId) {
+        specifiers.push(t.importNamespaceSpecifier(imported.namespaceId));
+        declarations.push(t.importDeclaration(specifiers, source));
+        specifiers = [];
+      }
+      if (specifiers.length || named.length) {
+        declarations.push(t.importDeclaration(specifiers.concat(named), source));
+      }
+    });
+    nodePath.unshiftContainer('body', declarations);
+  }
+
+  /**
+   * Builds the index of the globals of the modules under `moduleRoot`, or of
+   * the ones in the `files` option. Each module's default and named exports
+   * globals are computed as the main plugin would when transforming it, and
+   * are indexed by their paths without the root object, serialized as JSON.
+   * Globals shared by more than one file are marked as ambiguous, since they
+   * can't be resolved. Indexes are cached, so that they're only built once for
+   * all files with the same options.
+   * @param {!Object} opts This plugin's options.
+   * @return {!Object<string, {filePath: ?string, key: string, kind: string}>}
+   */
+  function buildGlobals(opts) {
+    var cacheKey = JSON.stringify(opts, function(key, value) {
+      return typeof value === 'function' ? String(value) : value;
+    });
+    if (globalsCache[cacheKey]) {
+      return globalsCache[cacheKey];
+    }
+
+    var moduleRoot = path.resolve(opts.moduleRoot || process.cwd());
+    var filePaths = opts.files ? opts.files.map(function(file) {
+      return path.resolve(moduleRoot, file);
+    }) : findFiles(moduleRoot, opts.extensions || ['.js']);
+
+    var globals = {};
+    filePaths.forEach(function(filePath) {
+      var fileState = {file: {opts: {filename: filePath}}, opts: opts};
+      if (naming.getRule(fileState, filePath).inline) {
+        return;
+      }
+      var key = naming.getModuleKey(fileState, filePath);
+      [null, true].forEach(function(name) {
+        var parts = naming.removeRoot(
+          naming.getGlobalParts(fileState, filePath, name, false, 'export'),
+          ['this'].concat(getRoots(opts))
+        );
+        var globalKey = JSON.stringify(parts);
+        var entry = globals[globalKey];
+        if (entry && entry.filePath !== filePath) {
+          entry.filePath = null;
+        } else {
+          globals[globalKey] = {filePath: filePath, key: key, kind: name ? 'named' : 'default'};
+        }
+      });
+    });
+    globalsCache[cacheKey] = globals;
+    return globals;
+  }
+
+  /**
+   * Finds all files with the given extensions inside the given directory,
+   * skipping `node_modules`.
+   * @param {string} dir
+   * @param {!Array<string>} extensions
+   * @return {!Array<string>}
+   */
+  function findFiles(dir, extensions) {
+    var files = [];
+    fs.readdirSync(dir).sort().forEach(function(name) {
+      var filePath = path.join(dir, name);
+      if (fs.statSync(filePath).isDirectory()) {
+        if (name !== 'node_modules') {
+          files = files.concat(findFiles(filePath, extensions));
+        }
+      } else if (extensions.indexOf(path.extname(name)) !== -1) {
+        files.push(filePath);
+      }
+    });
+    return files;
+  }
+
+  /**
+   * Gets the segments of the path of the global read by the given member
+   * expression, without its root object. Returns null if the expression isn't
+   * a static access of a global.
+   * @param {!NodePath} nodePath
+   * @param {!Object} state This plugin's current state object.
+   * @return {Array<string>}
+   */
+  function getGlobalPath(nodePath, state) {
+    var parts = [];
+    while (nodePath.isMemberExpression()) {
+      var name = getPropertyName(nodePath.node);
+      if (name === null) {
+        return null;
+      }
+      parts.unshift(name);
+      nodePath = nodePath.get('object');
+    }
+    if (isRoot(nodePath, state)) {
+      return parts;
+    }
+    if (nodePath.isIdentifier() && !nodePath.scope.hasBinding(nodePath.node.name)) {
+      return [nodePath.node.name].concat(parts);
+    }
+    return null;
+  }
+
+  /**
+   * Gets the import entry for the module of the given global in the current
+   * file, creating it the first time.
+   * @param {!Object} state This plugin's current state object.
+   * @param {{filePath: ?string, key: string}} entry The global's entry in the
+   *   index built by `buildGlobals`.
+   * @return {!Object}
+   */
+  function getImport(state, entry) {
+    if (!entry.filePath) {
+      throw new Error('The module key "' + entry.key + '" is used by more than one file');
+    }
+
+    for (var i = 0; i < state.imports.length; i++) {
+      if (state.imports[i].filePath === entry.filePath) {
+        return state.imports[i];
+      }
+    }
+    var imported = {
+      defaultId: null,
+      filePath: entry.filePath,
+      key: entry.key,
+      namedIds: {},
+      namespaceId: null,
+      source: getImportSource(state.file.opts.filename, entry.filePath)
+    };
+    state.imports.push(imported);
+    return imported;
+  }
+
+  /**
+   * Gets the path that should be used to import the given module from the
+   * given file, without the module's extension.
+   * @param {string} filename
+   * @param {string} modulePath
+   * @return {string}
+   */
+  function getImportSource(filename, modulePath) {
+    var source = path.relative(path.dirname(filename), modulePath);
+    source = source.substr(0, source.length - path.extname(source).length).split(path.sep).join('/');
+    return source[0] === '.' ? source : './' + source;
+  }
+
+  /**
+   * Gets the local identifier for a binding of an import entry, generating a
+   * unique one when the preferred name is already used anywhere in the file.
+   * @param {!NodePath} nodePath
+   * @param {string} name
+   * @return {!Identifier}
+   */
+  function getLocalId(nodePath, name) {
+    var scope = nodePath.scope.getProgramParent();
+    name = t.toIdentifier(name);
+    if (scope.hasBinding(name) || scope.hasGlobal(name) || scope.hasReference(name)) {
+      return scope.generateUidIdentifier(name);
+    }
+    scope.references[name] = true;
+    return t.identifier(name);
+  }
+
+  /**
+   * Gets the name of the given property of a member expression, if it's
+   * static.
+   * @param {!MemberExpression} node
+   * @return {?string}
+   */
+  function getPropertyName(node) {
+    if (!node.computed && t.isIdentifier(node.property)) {
+      return node.property.name;
+    }
+    if (node.computed && t.isStringLiteral(node.property)) {
+      return node.property.value;
+    }
+    return null;
+  }
+
+  /**
+   * Gets the global variables that globals can be read from besides `this`.
+   * @param {!Object} opts This plugin's options.
+   * @return {!Array<string>}
+   */
+  function getRoots(opts) {
+    return opts.roots || ['globalThis', 'self', 'window'];
+  }
+
+  /**
+   * Checks if the given node is the root object that globals are read from:
+   * `this` outside of any non-arrow function or class property, or inside a
+   * function that's called with the root as `this`, as in the
+   * `(function() { ... }).call(this)` wrappers of legacy files, or one of the
+   * identifiers in the `roots` option that isn't a local variable.
+   * @param {!NodePath} nodePath
+   * @param {!Object} state This plugin's current state object.
+   * @return {boolean}
+   */
+  function isRoot(nodePath, state) {
+    if (nodePath.isThisExpression()) {
+      var scopePath = nodePath.findParent(function(parentPath) {
+        return (parentPath.isFunction() && !parentPath.isArrowFunctionExpression()) ||
+          parentPath.isClassProperty();
+      });
+      if (!scopePath) {
+        return true;
+      }
+      var calleePath = scopePath.parentPath;
+      var callPath = calleePath.parentPath;
+      if (!scopePath.isFunctionExpression() || !calleePath.isMemberExpression({object: scopePath.node}) ||
+        ['call', 'apply'].indexOf(getPropertyName(calleePath.node)) === -1 ||
+        !callPath.isCallExpression({callee: calleePath.node}) || !callPath.node.arguments.length) {
+        return false;
+      }
+      return isRoot(callPath.get('arguments.0'), state);
+    }
+    return nodePath.isIdentifier() && getRoots(state.opts).indexOf(nodePath.node.name) !== -1 &&
+      !nodePath.scope.hasBinding(nodePath.node.name);
+  }
+
+  /**
+   * Checks if the given member expression is being written to, in which case
+   * it can't be replaced with an import.
+   * @param {!NodePath} nodePath
+   * @return {boolean}
+   */
+  function isWrite(nodePath) {
+    var parentPath = nodePath.parentPath;
+    return (parentPath.isAssignmentExpression() && parentPath.node.left === nodePath.node) ||
+      parentPath.isUpdateExpression() ||
+      parentPath.isUnaryExpression({operator: 'delete'});
+  }
+
+  /**
+   * Replaces the given member expression, which reads from a global of a
+   * module, with a reference to the matching import binding.
+   * @param {!NodePath} nodePath
+   * @param {!Object} state This plugin's current state object.
+   * @param {{filePath: ?string, key: string}} entry The global's entry in the
+   *   index built by `buildGlobals`.
+   * @param {?string} name The imported name, "default" for default exports or
+   *   null for the module's namespace.
+   */
+  function replaceWithImport(nodePath, state, entry, name) {
+    var imported = getImport(state, entry);
+    var localName = path.basename(imported.key);
+    var id;
+    if (name === null) {
+      id = imported.namespaceId = imported.namespaceId || getLocalId(nodePath, localName);
+    } else if (name === 'default') {
+      id = imported.defaultId = imported.defaultId || getLocalId(nodePath, localName);
+    } else {
+      id = imported.namedIds[name] = imported.namedIds[name] || getLocalId(nodePath, name);
+    }
+    nodePath.replaceWith(t.clone(id));
+  }
+
+  return {
+    visitor: {
+      Program: {
+        /**
+         * Initializes the per-file state.
+         * @param {!NodePath} nodePath
+         * @param {!Object} state
+         */
+        enter: function(nodePath, state) {
+          if (state.file.opts.filename === 'unknown') {
+            throw new Error('The reverse transform requires that filename be given');
+          }
+          state.globals = buildGlobals(state.opts);
+          state.imports = [];
+        },
+
+        /**
+         * Adds the imports for all globals that were replaced.
+         * @param {!NodePath} nodePath
+         * @param {!Object} state
+         */
+        exit: function(nodePath, state) {
+          if (state.imports.length) {
+            addImports(nodePath, state);
+          }
+        }
+      },
+
+      /**
+       * Replaces reads from module globals with imported bindings. Outer member
+       * expressions are visited first, so that the longest access that can be
+       * turned into an import is used.
+       * @param {!NodePath} nodePath
+       * @param {!Object} state
+       */
+      MemberExpression: function(nodePath, state) {
+        var parts = getGlobalPath(nodePath, state);
+        var entry = parts && state.globals[JSON.stringify(parts)];
+        if (!entry) {
+          return;
+        }
+
+        var parentPath = nodePath.parentPath;
+        var name = entry.kind === 'default' ? 'default' : null;
+        var targetPath = nodePath;
+        if (name === null && parentPath.isMemberExpression({object: nodePath.node}) && getPropertyName(parentPath.node)) {
+          name = getPropertyName(parentPath.node);
+          targetPath = parentPath;
+        }
+        if (!isWrite(targetPath)) {
+          replaceWithImport(targetPath, state, entry, name);
+        }
+      }
+    }
+  };
+};
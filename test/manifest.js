@@ -0,0 +1,64 @@
+'use strict';
+
+var assert = require('assert');
+var manifest = require('../manifest');
+var findUnusedExports = manifest.findUnusedExports;
+var sortManifests = manifest.sortManifests;
+
+module.exports = {
+  testFindUnusedExports: function(test) {
+    var unusedExports = findUnusedExports([
+      {key: 'a', exports: ['default'], imports: {b: ['default', 'b1'], c: ['*']}},
+      {key: 'b', exports: ['default', 'b1', 'b2'], imports: {}},
+      {key: 'c', exports: ['default', 'c1'], imports: {}},
+      {key: 'd', exports: ['d1'], imports: {}}
+    ]);
+    assert.deepEqual({a: ['default'], b: ['b2'], d: ['d1']}, unusedExports);
+
+    test.done();
+  },
+
+  testFindUnusedExportsWithEntries: function(test) {
+    var unusedExports = findUnusedExports([
+      {key: 'a', exports: ['default'], imports: {b: ['b1']}},
+      {key: 'b', exports: ['b1', 'b2'], imports: {}}
+    ], ['a']);
+    assert.deepEqual({b: ['b2']}, unusedExports);
+
+    test.done();
+  },
+
+  testSortManifests: function(test) {
+    var result = sortManifests([
+      {key: 'a', dependencies: ['b', 'c']},
+      {key: 'b', dependencies: ['c', 'external']},
+      {key: 'c', dependencies: []},
+      {key: 'd', dependencies: []}
+    ]);
+
+    assert.deepEqual(['c', 'b', 'a', 'd'], getKeys(result.order));
+    assert.deepEqual([], result.cycles);
+
+    test.done();
+  },
+
+  testSortManifestsWithCycles: function(test) {
+    var result = sortManifests([
+      {key: 'a', dependencies: ['b']},
+      {key: 'b', dependencies: ['c']},
+      {key: 'c', dependencies: ['a']},
+      {key: 'd', dependencies: ['d']}
+    ]);
+
+    assert.deepEqual(['c', 'b', 'a', 'd'], getKeys(result.order));
+    assert.deepEqual([['a', 'b', 'c'], ['d']], result.cycles);
+
+    test.done();
+  }
+};
+
+function getKeys(manifests) {
+  return manifests.map(function(manifest) {
+    return manifest.key;
+  });
+}
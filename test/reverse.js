@@ -0,0 +1,178 @@
+'use strict';
+
+var assert = require('assert');
+var babel = require('babel-core');
+var path = require('path');
+var reversePlugin = require('../reverse');
+
+var moduleRoot = path.resolve('test/fixtures/modules');
+
+module.exports = {
+  testDefaultAndNamedReads: function(test) {
+    var result = babel.transform(
+      'this.myGlobal.foo();\nvar bar = this.myGlobalNamed.foo.bar;\nwindow.myGlobal.foo.baz = 1;',
+      getBabelOptions(path.join(moduleRoot, 'app/main.js'), {moduleRoot: moduleRoot})
+    );
+
+    var expectedResult = 'import foo, { bar as _bar } from "../foo";\n' +
+      'foo();\n' +
+      'var bar = _bar;\n' +
+      'foo.baz = 1;';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testNamespaceReads: function(test) {
+    var result = babel.transform(
+      'var foo = this.myGlobal.foo;\nvar all = this.myGlobalNamed.foo;\nthis.myGlobalNamed.foo.bar();',
+      getBabelOptions(path.join(moduleRoot, 'main.js'), {moduleRoot: moduleRoot})
+    );
+
+    var expectedResult = 'import _foo, * as _foo2 from "./foo";\n' +
+      'import { bar } from "./foo";\n' +
+      'var foo = _foo;\n' +
+      'var all = _foo2;\n' +
+      'bar();';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testWritesAndUnknownGlobalsAreKept: function(test) {
+    var code = 'this.myGlobal.foo = 1;\nthis.myGlobalNamed.foo.bar = 2;\nthis.myGlobal.qux();\nthis.other.foo();';
+    var result = babel.transform(code, getBabelOptions(path.join(moduleRoot, 'main.js'), {moduleRoot: moduleRoot}));
+
+    assert.strictEqual(code, result.code);
+
+    test.done();
+  },
+
+  testRelativeNaming: function(test) {
+    var result = babel.transform(
+      'this.myGlobal["components/button"]();\nthis.myGlobal["legacy/button"]();',
+      getBabelOptions(path.join(moduleRoot, 'components/main.js'), {moduleRoot: moduleRoot, naming: 'relative'})
+    );
+
+    var expectedResult = 'import button from "./button";\n' +
+      'import _button from "../legacy/button";\n' +
+      'button();\n' +
+      '_button();';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testAmbiguousKey: function(test) {
+    var babelOptions = getBabelOptions(path.join(moduleRoot, 'main.js'), {moduleRoot: moduleRoot});
+    assert.throws(function() {
+      babel.transform('this.myGlobal.button();', babelOptions);
+    }, /"button" is used by more than one file/);
+
+    test.done();
+  },
+
+  testSingleLayout: function(test) {
+    var result = babel.transform(
+      'this.myGlobal.foo.default();\nthis.myGlobal.foo.bar();\nvar all = this.myGlobal.foo;',
+      getBabelOptions(path.join(moduleRoot, 'main.js'), {layout: 'single', files: ['foo.js'], moduleRoot: moduleRoot})
+    );
+
+    var expectedResult = 'import foo, * as _foo from "./foo";\n' +
+      'import { bar } from "./foo";\n' +
+      'foo();\n' +
+      'bar();\n' +
+      'var all = _foo;';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testLocalRootsAreIgnored: function(test) {
+    var code = 'function f(window) {\n  return window.myGlobal.foo;\n}';
+    var result = babel.transform(code, getBabelOptions(path.join(moduleRoot, 'main.js'), {moduleRoot: moduleRoot}));
+
+    assert.strictEqual(code, result.code);
+
+    test.done();
+  },
+
+  testThisInsideFunctionsIsIgnored: function(test) {
+    var result = babel.transform(
+      'var a = {\n  get: function () {\n    return this.myGlobal.foo;\n  }\n};\n' +
+      'class B {\n  get() {\n    return this.myGlobal.foo;\n  }\n}\n' +
+      'var c = () => this.myGlobal.foo;',
+      getBabelOptions(path.join(moduleRoot, 'main.js'), {moduleRoot: moduleRoot})
+    );
+
+    var expectedResult = 'import foo from "./foo";\n' +
+      'var a = {\n  get: function () {\n    return this.myGlobal.foo;\n  }\n};\n' +
+      'class B {\n  get() {\n    return this.myGlobal.foo;\n  }\n}\n' +
+      'var c = () => foo;';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testThisInsideCallWrapper: function(test) {
+    var result = babel.transform(
+      '(function () {\n  this.myGlobal.foo();\n  var a = function () {\n    return this.myGlobal.foo;\n  };\n}).call(this);',
+      getBabelOptions(path.join(moduleRoot, 'main.js'), {moduleRoot: moduleRoot})
+    );
+
+    var expectedResult = 'import foo from "./foo";\n' +
+      '(function () {\n  foo();\n  var a = function () {\n    return this.myGlobal.foo;\n  };\n}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testGlobalNameFunction: function(test) {
+    var result = babel.transform(
+      'App.defaults.foo();\nwindow.App.modules["components/button"].render();',
+      getBabelOptions(path.join(moduleRoot, 'main.js'), {
+        files: ['foo.js', 'components/button.js'],
+        globalName: function(state, filePath, name, isWildcard, context) {
+          var parts = ['App', context.isDefault ? 'defaults' : 'modules', context.relativePath];
+          return parts.concat(context.name ? [context.name] : []);
+        },
+        moduleRoot: moduleRoot
+      })
+    );
+
+    var expectedResult = 'import foo from "./foo";\n' +
+      'import { render } from "./components/button";\n' +
+      'foo();\n' +
+      'render();';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testRules: function(test) {
+    var code = 'this.legacy.foo$js();\nthis.myGlobal.foo();';
+    var result = babel.transform(code, getBabelOptions(path.join(moduleRoot, 'main.js'), {
+      files: ['foo.js'],
+      moduleRoot: moduleRoot,
+      rules: [{extension: '.js', globalName: 'legacy', suffix: '$js'}]
+    }));
+
+    var expectedResult = 'import foo$js from "./foo";\n' +
+      'foo$js();\n' +
+      'this.myGlobal.foo();';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  }
+};
+
+function getBabelOptions(filename, pluginOptions) {
+  pluginOptions.globalName = pluginOptions.globalName || 'myGlobal';
+  return {
+    babelrc: false,
+    filename: filename,
+    plugins: [
+      [reversePlugin, pluginOptions]
+    ]
+  };
+}
@@ -2,7 +2,12 @@
 
 var assert = require('assert');
 var babel = require('babel-core');
+var babelParser = require('@babel/parser');
+var fs = require('fs');
+var os = require('os');
 var path = require('path');
+var sourceMap = require('source-map');
+var vm = require('vm');
 var globalsPlugin = require('../index');
 
 module.exports = {
@@ -20,6 +25,89 @@ module.exports = {
     test.done();
   },
 
+  testIifeWrapper: function(test) {
+    var result = babel.transform('var a = 2;', getBabelOptions(undefined, null, {
+      wrapper: 'iife'
+    }));
+    var expectedResult = '(function () {\n  var a = 2;\n}).call(typeof globalThis !== "undefined" ? ' +
+      'globalThis : typeof self !== "undefined" ? self : typeof window !== "undefined" ? window : global);';
+    assert.strictEqual(expectedResult, result.code);
+    test.done();
+  },
+
+  testUmdWrapper: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      wrapper: 'umd'
+    });
+    var result = babel.transform('export default 1;\nexport var a = 2;', babelOptions);
+
+    var globalThis = {myGlobal: {}, myGlobalNamed: {}};
+    var module = {exports: {}};
+    vm.runInNewContext(result.code, {globalThis: globalThis, module: module});
+    assert.strictEqual(1, globalThis.myGlobal.bar);
+    assert.strictEqual(2, globalThis.myGlobalNamed.bar.a);
+    assert.strictEqual(1, module.exports.default);
+    assert.strictEqual(2, module.exports.a);
+
+    test.done();
+  },
+
+  testStrictWildcardExportWithIifeWrapper: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      wrapper: 'iife'
+    });
+    var result = babel.transform('"use strict";\nexport * from "./foo";', babelOptions);
+
+    var globalThis = {myGlobal: {}, myGlobalNamed: {foo: {a: 1}}};
+    vm.runInNewContext(result.code, {globalThis: globalThis});
+    assert.strictEqual(1, globalThis.myGlobalNamed.bar.a);
+
+    test.done();
+  },
+
+  testStrictWildcardExportWithUmdWrapper: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      wrapper: 'umd'
+    });
+    var result = babel.transform('"use strict";\nexport * from "./foo";', babelOptions);
+
+    var globalThis = {myGlobal: {}, myGlobalNamed: {foo: {a: 1}}};
+    var module = {exports: {}};
+    vm.runInNewContext(result.code, {globalThis: globalThis, module: module});
+    assert.strictEqual(1, globalThis.myGlobalNamed.bar.a);
+    assert.strictEqual(1, module.exports.a);
+
+    test.done();
+  },
+
+  testUmdWrapperDropExports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      dropExports: {bar: ['default', 'b']},
+      wrapper: 'umd'
+    });
+    var result = babel.transform('export default 1;\nexport var a = 2, b = 3;', babelOptions);
+
+    var globalThis = {myGlobal: {}, myGlobalNamed: {}};
+    var module = {exports: {}};
+    vm.runInNewContext(result.code, {globalThis: globalThis, module: module});
+    assert.deepEqual({a: 2}, module.exports);
+
+    result = babel.transform('export default 1;', babelOptions);
+    module = {exports: {}};
+    vm.runInNewContext(result.code, {globalThis: globalThis, module: module});
+    assert.deepEqual({}, module.exports);
+
+    test.done();
+  },
+
+  testNoWrapper: function(test) {
+    var result = babel.transform('var a = 2;', getBabelOptions(undefined, null, {
+      wrapper: 'none'
+    }));
+    assert.strictEqual('var a = 2;', result.code);
+    test.done();
+  },
+
   testNoFilenameImport: function(test) {
     var options = getBabelOptions();
     delete options.filename;
@@ -45,10 +133,17 @@ module.exports = {
     var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
     var result = babel.transform('import * as foo from "./foo"', babelOptions);
 
-    var expectedResult = '(function () {\n' +
-      '  var foo = this["myGlobalNamed"]["foo"];\n' +
-      '}).call(this);';
-    assert.strictEqual(expectedResult, result.code);
+    assert.ok(result.code.indexOf(
+      'var foo = _namespace(this["myGlobalNamed"]["foo"], this["myGlobal"]["foo"]);'
+    ) !== -1);
+
+    var root = {myGlobal: {foo: 'foo'}, myGlobalNamed: {foo: {foo: 'named'}}};
+    vm.runInNewContext(result.code.replace(/\}\)\.call\(this\);$/, '  this.foo = foo;\n}).call(this);'), root);
+    assert.strictEqual(null, Object.getPrototypeOf(root.foo));
+    assert.ok(Object.isFrozen(root.foo));
+    assert.deepEqual(['default', 'foo'], Object.keys(root.foo));
+    assert.strictEqual('foo', root.foo.default);
+    assert.strictEqual('named', root.foo.foo);
 
     test.done();
   },
@@ -182,6 +277,91 @@ module.exports = {
     test.done();
   },
 
+  testDefaultAnonymousGeneratorDeclarationExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export default function* () {}', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobal"]["bar"] = function* () {};\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testDefaultAnonymousClassWithSuperClassExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export default class extends Foo {}', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobal"]["bar"] = class extends Foo {};\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testNamedAsDefaultExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export {foo as default}', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobal"]["bar"] = foo;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testDefaultSourceExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export {default} from "./foo"', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobal"]["bar"] = this["myGlobal"]["foo"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testDefaultAsNamedSourceExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export {default as foo} from "./foo"', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  this["myGlobalNamed"]["bar"]["foo"] = this["myGlobal"]["foo"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testNamedAsDefaultSourceExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export {foo as default} from "./foo"', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobal"]["bar"] = this["myGlobalNamed"]["foo"]["foo"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testDefaultAsNamedImport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('import {default as foo} from "./foo"', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  var foo = this["myGlobal"]["foo"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
   testNamedExport: function(test) {
     var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
     var result = babel.transform('export {foo, bar}', babelOptions);
@@ -214,8 +394,8 @@ module.exports = {
     var result = babel.transform('export var foo, bar = "foo"', babelOptions);
 
     var expectedResult = '(function () {\n' +
-      '  var foo,\n      bar = "foo";\n' +
       '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  var foo,\n      bar = "foo";\n' +
       '  this["myGlobalNamed"]["bar"]["foo"] = foo;\n' +
       '  this["myGlobalNamed"]["bar"]["bar"] = bar;\n' +
       '}).call(this);';
@@ -224,13 +404,94 @@ module.exports = {
     test.done();
   },
 
+  testObjectPatternExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export const {a, b: c} = obj', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  const { a, b: c } = obj;\n' +
+      '  this["myGlobalNamed"]["bar"]["a"] = a;\n' +
+      '  this["myGlobalNamed"]["bar"]["c"] = c;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testNestedObjectPatternExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export const {a: {b, c: {d}}} = obj', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  const { a: { b, c: { d } } } = obj;\n' +
+      '  this["myGlobalNamed"]["bar"]["b"] = b;\n' +
+      '  this["myGlobalNamed"]["bar"]["d"] = d;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testArrayPatternExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export const [x, , [y]] = arr', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  const [x,, [y]] = arr;\n' +
+      '  this["myGlobalNamed"]["bar"]["x"] = x;\n' +
+      '  this["myGlobalNamed"]["bar"]["y"] = y;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testPatternWithDefaultsExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export const {a = 1, b: c = 2} = obj, [d = 3] = arr', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  const { a = 1, b: c = 2 } = obj,\n' +
+      '        [d = 3] = arr;\n' +
+      '  this["myGlobalNamed"]["bar"]["a"] = a;\n' +
+      '  this["myGlobalNamed"]["bar"]["c"] = c;\n' +
+      '  this["myGlobalNamed"]["bar"]["d"] = d;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testPatternWithRestExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    babelOptions.parserOpts = {plugins: ['objectRestSpread']};
+    var result = babel.transform('export const {a, ...b} = obj, [c, ...d] = arr', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  const { a, ...b } = obj,\n' +
+      '        [c, ...d] = arr;\n' +
+      '  this["myGlobalNamed"]["bar"]["a"] = a;\n' +
+      '  this["myGlobalNamed"]["bar"]["b"] = b;\n' +
+      '  this["myGlobalNamed"]["bar"]["c"] = c;\n' +
+      '  this["myGlobalNamed"]["bar"]["d"] = d;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
   testNamedFunctionDeclarationExport: function(test) {
     var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
     var result = babel.transform('export function foo() {}', babelOptions);
 
     var expectedResult = '(function () {\n' +
-      '  function foo() {}\n' +
       '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  function foo() {}\n' +
       '  this["myGlobalNamed"]["bar"]["foo"] = foo;\n' +
       '}).call(this);';
     assert.strictEqual(expectedResult, result.code);
@@ -251,6 +512,44 @@ module.exports = {
     test.done();
   },
 
+  testNamedAsSourceExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export {foo as baz, bar as qux} from "./foo"', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  this["myGlobalNamed"]["bar"]["baz"] = this["myGlobalNamed"]["foo"]["foo"];\n' +
+      '  this["myGlobalNamed"]["bar"]["qux"] = this["myGlobalNamed"]["foo"]["bar"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+    test.done();
+  },
+
+  testNamespaceSourceExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export * as utils from "./utils"', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  this["myGlobalNamed"]["bar"]["utils"] = this["myGlobalNamed"]["utils"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+    test.done();
+  },
+
+  testDefaultSpecifierSourceExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export foo, {bar} from "./foo"', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  this["myGlobalNamed"]["bar"]["foo"] = this["myGlobal"]["foo"];\n' +
+      '  this["myGlobalNamed"]["bar"]["bar"] = this["myGlobalNamed"]["foo"]["bar"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+    test.done();
+  },
+
   testWildcardSourceExport: function(test) {
     var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
     var result = babel.transform('export * from "foo"', babelOptions);
@@ -258,7 +557,7 @@ module.exports = {
       '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
       '  Object.keys(this["myGlobalNamed"]["foo"]).forEach(function (key) {\n' +
       '    this["myGlobalNamed"]["bar"][key] = this["myGlobalNamed"]["foo"][key];\n' +
-      '  });\n' +
+      '  }, this);\n' +
       '}).call(this);';
     assert.strictEqual(expectedResult, result.code);
     test.done();
@@ -269,8 +568,8 @@ module.exports = {
     var result = babel.transform('export default foo; export {bar};', babelOptions);
 
     var expectedResult = '(function () {\n' +
-      '  this["myGlobal"]["bar"] = foo;\n' +
       '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  this["myGlobal"]["bar"] = foo;\n' +
       '  this["myGlobalNamed"]["bar"]["bar"] = bar;\n' +
       '}).call(this);';
     assert.strictEqual(expectedResult, result.code);
@@ -312,22 +611,1214 @@ module.exports = {
     test.done();
   },
 
-  testImportWithNonFilePath: function(test) {
-    var result = babel.transform('import foo from "bar"', getBabelOptions());
-    var expected = '(function () {}).call(this);';
-    assert.strictEqual(expected, result.code);
+  testGlobalNameFunctionFilePath: function(test) {
+    var filePaths = {};
+    var babelOptions = getBabelOptions(
+      path.resolve('foo/bar.js'),
+      function(state, filePath, name, isWildcard, context) {
+        filePaths[context.kind] = filePath;
+        return 'this.Test.' + (name ? name : 'default');
+      }
+    );
+    babel.transform('import foo from "./foo.js";\nexport default foo;\nexport {qux} from "./baz.js";', babelOptions);
+
+    assert.deepEqual({'export': 'bar', 'import': 'foo', reexport: './baz.js'}, filePaths);
 
     test.done();
-  }
-};
+  },
 
-function getBabelOptions(filename, globalName) {
-  return {
-    filename: filename,
-    plugins: [
-      [globalsPlugin, {
-        globalName: globalName || 'myGlobal'
+  testGlobalsCreatedInPrologue: function(test) {
+    var babelOptions = getBabelOptions(
+      path.resolve('foo/bar.js'),
+      function(state, filePath, name, isWildcard, context) {
+        return ['this', 'App', 'modules', context.relativePath].concat(context.name ? [context.name] : []);
+      }
+    );
+    var result = babel.transform(
+      'import foo from "./foo";\nexport var a = foo;\nfoo();\nexport function b() {}',
+      babelOptions
+    );
+
+    var expectedResult = '(function () {\n' +
+      '  this["App"]["modules"] = this["App"]["modules"] || {};\n' +
+      '  this["App"]["modules"]["foo/bar"] = this["App"]["modules"]["foo/bar"] || {};\n' +
+      '  var foo = this["App"]["modules"]["foo/foo"];\n' +
+      '  var a = foo;\n' +
+      '  this["App"]["modules"]["foo/bar"]["a"] = a;\n' +
+      '  foo();\n' +
+      '  function b() {}\n' +
+      '  this["App"]["modules"]["foo/bar"]["b"] = b;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testStateNotSharedBetweenFiles: function(test) {
+    var plugin = globalsPlugin(babel);
+    var options = {globalName: 'myGlobal'};
+    var fooResult;
+    var barResult = babel.transform('import * as x from "./x";\nexport var a = x;', {
+      filename: path.resolve('foo/bar.js'),
+      plugins: [[plugin, options], function() {
+        return {
+          visitor: {
+            Program: function() {
+              // Transforms another file while this one is still being transformed.
+              fooResult = babel.transform('import * as ns from "./ns";\nexport var b = ns;', {
+                filename: path.resolve('foo/foo.js'),
+                plugins: [[plugin, options]]
+              });
+            }
+          }
+        };
       }]
+    });
+
+    assert.ok(barResult.code.indexOf('function _namespace(') !== -1);
+    assert.ok(fooResult.code.indexOf('function _namespace(') !== -1);
+    assert.ok(barResult.code.indexOf('this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};') !== -1);
+    assert.ok(fooResult.code.indexOf('this["myGlobalNamed"]["foo"] = this["myGlobalNamed"]["foo"] || {};') !== -1);
+
+    test.done();
+  },
+
+  testRelativeNaming: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('src/components/button/index.js'), null, {
+      moduleRoot: path.resolve('src'),
+      naming: 'relative'
+    });
+    var result = babel.transform(
+      'import forms from "../../forms";\n' +
+      'import {label} from "./label.js";\n' +
+      'export default forms;\n' +
+      'export {label};\n' +
+      'export * from "../../forms/index";',
+      babelOptions
+    );
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["components/button/index"] = ' +
+      'this["myGlobalNamed"]["components/button/index"] || {};\n' +
+      '  var forms = this["myGlobal"]["forms"];\n' +
+      '  var label = this["myGlobalNamed"]["components/button/label"]["label"];\n' +
+      '  this["myGlobal"]["components/button/index"] = forms;\n' +
+      '  this["myGlobalNamed"]["components/button/index"]["label"] = label;\n' +
+      '  Object.keys(this["myGlobalNamed"]["forms/index"]).forEach(function (key) {\n' +
+      '    this["myGlobalNamed"]["components/button/index"][key] = ' +
+      'this["myGlobalNamed"]["forms/index"][key];\n' +
+      '  }, this);\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testRelativeNamingWithRelativeFilename: function(test) {
+    var contexts = [];
+    var globalName = function(state, filePath, name, isWildcard, context) {
+      contexts.push(context);
+      return ['this', 'lib', context.relativePath];
+    };
+    var fooResult = babel.transform('export default 1;', {
+      filename: 'src/foo.js',
+      plugins: [[globalsPlugin, {globalName: 'myGlobal', naming: 'relative'}]]
+    });
+    var barResult = babel.transform('import foo from "./foo";', {
+      filename: 'src/bar.js',
+      plugins: [[globalsPlugin, {globalName: 'myGlobal', naming: 'relative'}]]
+    });
+    babel.transform('export default 1;', {
+      filename: 'src/foo.js',
+      plugins: [[globalsPlugin, {globalName: globalName}]]
+    });
+
+    assert.ok(fooResult.code.indexOf('this["myGlobal"]["src/foo"] = 1;') !== -1);
+    assert.strictEqual('src/foo', fooResult.metadata.globals.key);
+    assert.ok(barResult.code.indexOf('var foo = this["myGlobal"]["src/foo"];') !== -1);
+    assert.strictEqual(path.resolve('src/foo'), contexts[0].absolutePath);
+    assert.strictEqual('src/foo', contexts[0].relativePath);
+
+    test.done();
+  },
+
+  testRelativeNamingCollision: function(test) {
+    var pluginOptions = {
+      moduleRoot: path.resolve('src'),
+      naming: 'relative'
+    };
+    babel.transform('var a = 2;', getBabelOptions(path.resolve('src/forms/index.js'), null, pluginOptions));
+    babel.transform('var a = 2;', getBabelOptions(path.resolve('src/forms/index.js'), null, pluginOptions));
+    assert.throws(function() {
+      babel.transform('var a = 2;', getBabelOptions(path.resolve('src/forms/index.soy.js'), null, pluginOptions));
+    }, /both resolve to the global key "forms\/index"/);
+
+    test.done();
+  },
+
+  testRelativeNamingCollisionScope: function(test) {
+    babel.transform('var a = 2;', getBabelOptions(path.resolve('projA/src/index.js'), 'appA', {
+      moduleRoot: path.resolve('projA/src'),
+      naming: 'relative'
+    }));
+    babel.transform('var a = 2;', getBabelOptions(path.resolve('projB/lib/index.js'), 'appB', {
+      moduleRoot: path.resolve('projB/lib'),
+      naming: 'relative'
+    }));
+
+    var pluginOptions = {
+      moduleRoot: path.resolve('src'),
+      naming: 'relative'
+    };
+    babel.transform('var a = 2;', getBabelOptions(path.resolve('src/moved/index.js'), null, pluginOptions));
+    globalsPlugin.resetModuleKeys();
+    assert.doesNotThrow(function() {
+      babel.transform('var a = 2;', getBabelOptions(path.resolve('src/moved/index.soy.js'), null, pluginOptions));
+    });
+
+    test.done();
+  },
+
+  testLiveBindingsExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      liveBindings: true
+    });
+    var result = babel.transform('export let counter = 0;\nexport {counter as count};', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  let counter = 0;\n' +
+      '  Object.defineProperty(this["myGlobalNamed"]["bar"], "counter", {\n' +
+      '    configurable: true,\n' +
+      '    enumerable: true,\n' +
+      '    get: function () {\n' +
+      '      return counter;\n' +
+      '    }\n' +
+      '  });\n' +
+      '  Object.defineProperty(this["myGlobalNamed"]["bar"], "count", {\n' +
+      '    configurable: true,\n' +
+      '    enumerable: true,\n' +
+      '    get: function () {\n' +
+      '      return counter;\n' +
+      '    }\n' +
+      '  });\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testLiveBindingsImport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      liveBindings: true
+    });
+    var result = babel.transform(
+      'import foo, {counter, increment as inc} from "./foo";\n' +
+      'inc();\n' +
+      'foo(counter);',
+      babelOptions
+    );
+
+    var expectedResult = '(function () {\n' +
+      '  var _foo = this["myGlobal"];\n' +
+      '  var _foo2 = this["myGlobalNamed"]["foo"];\n\n' +
+      '  (0, _foo2["increment"])();\n' +
+      '  (0, _foo["foo"])(_foo2["counter"]);\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testLiveBindingsExportBeforeImport: function(test) {
+    var fooResult = babel.transform('export let counter = 0;\nexport function increment() {\n  counter++;\n}', getBabelOptions(
+      path.resolve('foo/foo.js'),
+      null,
+      {liveBindings: true}
+    ));
+    var barResult = babel.transform('export {counter};\nimport {counter} from "./foo";', getBabelOptions(
+      path.resolve('foo/bar.js'),
+      null,
+      {liveBindings: true}
+    ));
+
+    var root = {myGlobal: {}, myGlobalNamed: {}};
+    vm.runInNewContext(fooResult.code + '\n' + barResult.code, root);
+    assert.strictEqual(0, root.myGlobalNamed.bar.counter);
+    root.myGlobalNamed.foo.increment();
+    assert.strictEqual(1, root.myGlobalNamed.bar.counter);
+
+    test.done();
+  },
+
+  testLiveBindingsDefaultImport: function(test) {
+    var fooResult = babel.transform('let x = 0;\nexport {x as default};\nexport function increment() {\n  x++;\n}', getBabelOptions(
+      path.resolve('foo/foo.js'),
+      null,
+      {liveBindings: true}
+    ));
+    var barResult = babel.transform('import x from "./foo";\nexport function read() {\n  return x;\n}', getBabelOptions(
+      path.resolve('foo/bar.js'),
+      null,
+      {liveBindings: true}
+    ));
+
+    var root = {myGlobal: {}, myGlobalNamed: {}};
+    vm.runInNewContext(fooResult.code + '\n' + barResult.code, root);
+    assert.strictEqual(0, root.myGlobalNamed.bar.read());
+    root.myGlobalNamed.foo.increment();
+    assert.strictEqual(1, root.myGlobalNamed.bar.read());
+
+    test.done();
+  },
+
+  testLiveBindingsNamespaceImport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/foo.js'), null, {
+      liveBindings: true
+    });
+    var fooResult = babel.transform(
+      'export let counter = 0;\nexport function inc() {\n  counter++;\n}\nexport default "foo";',
+      babelOptions
+    );
+    babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      liveBindings: true
+    });
+    var barResult = babel.transform(
+      'import * as ns from "./foo";\nimport {counter, inc} from "./foo";\ninc();\n' +
+      'export var counters = [counter, ns.counter];\nexport {ns};',
+      babelOptions
+    );
+
+    var root = {myGlobal: {}, myGlobalNamed: {}};
+    vm.runInNewContext(fooResult.code + '\n' + barResult.code, root);
+    var ns = root.myGlobalNamed.bar.ns;
+    assert.deepEqual([1, 1], root.myGlobalNamed.bar.counters);
+    assert.ok(Object.isFrozen(ns));
+    assert.strictEqual(null, Object.getPrototypeOf(ns));
+    assert.deepEqual(['counter', 'default', 'inc'], Object.keys(ns));
+    assert.strictEqual('foo', ns.default);
+    ns.inc();
+    assert.strictEqual(2, ns.counter);
+
+    test.done();
+  },
+
+  testLiveBindingsReexportImport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      liveBindings: true
+    });
+    var result = babel.transform('import {counter} from "./foo";\nexport {counter};', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  var _foo = this["myGlobalNamed"]["foo"];\n' +
+      '  Object.defineProperty(this["myGlobalNamed"]["bar"], "counter", {\n' +
+      '    configurable: true,\n' +
+      '    enumerable: true,\n' +
+      '    get: function () {\n' +
+      '      return _foo["counter"];\n' +
+      '    }\n' +
+      '  });\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testLazyWildcardSourceExport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      lazyReexports: true
+    });
+    var result = babel.transform(
+      'export * from "./foo";\nexport * from "./baz";\nexport var a = 1;',
+      babelOptions
+    );
+
+    var root = {myGlobalNamed: {}};
+    vm.runInNewContext(result.code, root);
+    var exports = root.myGlobalNamed.bar;
+    assert.deepEqual(['a'], Object.keys(exports));
+
+    root.myGlobalNamed.foo = {a: 2, b: 1, c: 1, default: 1};
+    root.myGlobalNamed.baz = {c: 2, d: 2};
+    assert.strictEqual(1, exports.a);
+    assert.strictEqual(1, exports.b);
+    assert.strictEqual(2, exports.d);
+    assert.strictEqual(undefined, exports.default);
+    assert.deepEqual(['a', 'b', 'd'], Object.keys(exports));
+    assert.throws(function() {
+      return exports.c;
+    }, /"c" is provided by more than one export \* source/);
+
+    test.done();
+  },
+
+  testManifestMetadata: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform(
+      'import foo from "./foo";\n' +
+      'import "./baz.js";\n' +
+      'import $ from "jquery";\n' +
+      'export {qux} from "./qux";\n' +
+      'export * from "./foo";\n' +
+      'export default foo;\n' +
+      'export var a = 1, b = 2;\n' +
+      'export {a as c};',
+      babelOptions
+    );
+
+    assert.deepEqual({
+      key: 'bar',
+      dependencies: ['foo', 'baz', 'qux'],
+      dynamicDependencies: [],
+      exports: ['qux', 'default', 'a', 'b', 'c'],
+      imports: {
+        foo: ['default', '*'],
+        baz: [],
+        qux: ['qux']
+      }
+    }, result.metadata.globals);
+
+    test.done();
+  },
+
+  testStrictImports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      strictImports: true
+    });
+    var result = babel.transform('import foo, {bar} from "./foo";', babelOptions);
+
+    assert.ok(result.code.indexOf(
+      'var foo = _requireGlobal(this, ["myGlobal", "foo"], "foo/bar.js", "./foo", "default");'
+    ) !== -1);
+    assert.ok(result.code.indexOf(
+      'var bar = _requireGlobal(this, ["myGlobalNamed", "foo", "bar"], "foo/bar.js", "./foo", "bar");'
+    ) !== -1);
+
+    assert.throws(function() {
+      vm.runInNewContext(result.code, {myGlobal: {}, myGlobalNamed: {}});
+    }, /"foo\/bar.js" imports "default" from "\.\/foo", but the module has not been loaded \("myGlobal.foo" is missing\)/);
+    assert.throws(function() {
+      vm.runInNewContext(result.code, {myGlobal: {foo: 1}, myGlobalNamed: {foo: {}}});
+    }, /"foo\/bar.js" imports "bar" from "\.\/foo", but the module does not export it/);
+    assert.doesNotThrow(function() {
+      vm.runInNewContext(result.code, {myGlobal: {foo: 1}, myGlobalNamed: {foo: {bar: 2}}});
+    });
+
+    test.done();
+  },
+
+  testStrictNamespaceImports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      strictImports: true
+    });
+    var result = babel.transform('import * as foo from "./foo";', babelOptions);
+
+    assert.ok(result.code.indexOf(
+      'var foo = _namespace(' +
+      '_requireGlobal(this, ["myGlobalNamed", "foo"], "foo/bar.js", "./foo", "*", this, ["myGlobal", "foo"]), ' +
+      '_requireGlobal(this, ["myGlobal", "foo"], "foo/bar.js", "./foo", "*", this, ["myGlobalNamed", "foo"]));'
+    ) !== -1);
+
+    var code = result.code.replace(/\}\)\.call\(this\);$/, '  this.foo = foo;\n}).call(this);');
+    var root = {myGlobal: {foo: 42}};
+    vm.runInNewContext(code, root);
+    assert.deepEqual(['default'], Object.keys(root.foo));
+    assert.strictEqual(42, root.foo.default);
+
+    root = {myGlobalNamed: {foo: {bar: 2}}};
+    vm.runInNewContext(code, root);
+    assert.deepEqual(['bar'], Object.keys(root.foo));
+
+    assert.throws(function() {
+      vm.runInNewContext(code, {myGlobal: {}, myGlobalNamed: {}});
+    }, /"foo\/bar.js" imports "\*" from "\.\/foo", but the module has not been loaded \("myGlobalNamed.foo" is missing\)/);
+
+    test.done();
+  },
+
+  testSourceMaps: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    babelOptions.sourceMaps = true;
+    var result = babel.transform(
+      'import foo from "./foo";\n' +
+      'import {baz} from "./baz";\n' +
+      'import * as qux from "./qux";\n' +
+      'export default foo;\n' +
+      'export var a = 1;\n' +
+      'export {baz};\n' +
+      'export {b} from "./b";\n' +
+      'export * from "./c";',
+      babelOptions
+    );
+
+    assert.strictEqual(1, getOriginalLine(result, 'var foo = this["myGlobal"]["foo"];'));
+    assert.strictEqual(2, getOriginalLine(result, 'var baz = this["myGlobalNamed"]["baz"]["baz"];'));
+    assert.strictEqual(3, getOriginalLine(result, 'var qux = _namespace(this["myGlobalNamed"]["qux"], this["myGlobal"]["qux"]);'));
+    assert.strictEqual(4, getOriginalLine(result, 'this["myGlobal"]["bar"] = foo;'));
+    assert.strictEqual(5, getOriginalLine(result, 'this["myGlobalNamed"]["bar"]["a"] = a;'));
+    assert.strictEqual(6, getOriginalLine(result, 'this["myGlobalNamed"]["bar"]["baz"] = baz;'));
+    assert.strictEqual(7, getOriginalLine(result, 'this["myGlobalNamed"]["bar"]["b"] = this["myGlobalNamed"]["b"]["b"];'));
+    assert.strictEqual(8, getOriginalLine(result, 'Object.keys(this["myGlobalNamed"]["c"])'));
+
+    test.done();
+  },
+
+  testDropExports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      dropExports: {
+        bar: ['default', 'a', 'c']
+      }
+    });
+    var result = babel.transform(
+      'export default foo();\nexport var a = 1, b = 2;\nexport {a as c};',
+      babelOptions
+    );
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  foo();\n' +
+      '  var a = 1,\n' +
+      '      b = 2;\n' +
+      '  this["myGlobalNamed"]["bar"]["b"] = b;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+    assert.deepEqual(['b'], result.metadata.globals.exports);
+
+    test.done();
+  },
+
+  testDynamicImport: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      dynamicImport: {
+        loader: 'this.loadModule',
+        url: '/js/[key].js'
+      }
+    });
+    var result = babel.transform('export function load() {\n  return import("./chart");\n}', babelOptions);
+    assert.deepEqual([], result.metadata.globals.dependencies);
+    assert.deepEqual(['chart'], result.metadata.globals.dynamicDependencies);
+    assert.deepEqual({chart: ['*']}, result.metadata.globals.imports);
+
+    var loadedUrls = [];
+    var root = {
+      loadModule: function(url) {
+        loadedUrls.push(url);
+        root.myGlobal.chart = 'chart';
+        root.myGlobalNamed.chart = {draw: 'draw'};
+      },
+      myGlobal: {},
+      myGlobalNamed: {},
+      Promise: Promise
+    };
+    vm.runInNewContext(result.code, root);
+
+    root.myGlobalNamed.bar.load().then(function(namespace) {
+      assert.deepEqual({default: 'chart', draw: 'draw'}, namespace);
+      return root.myGlobalNamed.bar.load();
+    }).then(function(namespace) {
+      assert.deepEqual({default: 'chart', draw: 'draw'}, namespace);
+      assert.deepEqual(['/js/chart.js'], loadedUrls);
+      test.done();
+    }).catch(test.done);
+  },
+
+  testDynamicImportWithoutLoader: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('export var chart = import("./chart");', babelOptions);
+
+    var root = {myGlobal: {}, myGlobalNamed: {}, Promise: Promise};
+    vm.runInNewContext(result.code, root);
+    root.myGlobalNamed.bar.chart.then(function() {
+      test.done(new Error('The promise should have been rejected'));
+    }, function(error) {
+      assert.strictEqual('The module "chart" is not available', error.message);
+      test.done();
+    });
+  },
+
+  testDynamicImportWithNonFilePath: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    var result = babel.transform('import("bar");', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  import("bar");\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testGlobalNameFunctionContext: function(test) {
+    var contexts = [];
+    var babelOptions = getBabelOptions(
+      path.resolve('src/foo/bar.js'),
+      function(state, filePath, name, isWildcard, context) {
+        contexts.push(context);
+        return ['this', 'lib-1.2', context.relativePath].concat(context.name ? [context.name] : []);
+      },
+      {moduleRoot: path.resolve('src')}
+    );
+    var result = babel.transform(
+      'import * as baz from "../baz.js";\nexport default baz;\nexport {qux} from "./qux";',
+      babelOptions
+    );
+
+    assert.ok(result.code.indexOf(
+      '  var baz = _namespace(this["lib-1.2"]["baz"], this["lib-1.2"]["baz"]);\n\n' +
+      '  this["lib-1.2"]["foo/bar"] = baz;\n' +
+      '  this["lib-1.2"]["foo/bar"]["qux"] = this["lib-1.2"]["foo/qux"]["qux"];\n' +
+      '}).call(this);'
+    ) !== -1);
+
+    assert.deepEqual([
+      {
+        absolutePath: path.resolve('src/baz'),
+        attributes: {},
+        filename: path.resolve('src/foo/bar.js'),
+        isDefault: false,
+        isNamespace: true,
+        kind: 'import',
+        name: null,
+        relativePath: 'baz'
+      },
+      {
+        absolutePath: path.resolve('src/baz'),
+        attributes: {},
+        filename: path.resolve('src/foo/bar.js'),
+        isDefault: true,
+        isNamespace: false,
+        kind: 'import',
+        name: null,
+        relativePath: 'baz'
+      },
+      {
+        absolutePath: path.resolve('src/foo/bar'),
+        attributes: {},
+        filename: path.resolve('src/foo/bar.js'),
+        isDefault: true,
+        isNamespace: false,
+        kind: 'export',
+        name: null,
+        relativePath: 'foo/bar'
+      },
+      {
+        absolutePath: path.resolve('src/foo/bar'),
+        attributes: {},
+        filename: path.resolve('src/foo/bar.js'),
+        isDefault: false,
+        isNamespace: false,
+        kind: 'export',
+        name: 'qux',
+        relativePath: 'foo/bar'
+      },
+      {
+        absolutePath: path.resolve('src/foo/qux'),
+        attributes: {},
+        filename: path.resolve('src/foo/bar.js'),
+        isDefault: false,
+        isNamespace: false,
+        kind: 'reexport',
+        name: 'qux',
+        relativePath: 'foo/qux'
+      }
+    ], contexts);
+
+    test.done();
+  },
+
+  testFlowTypeImports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    babelOptions.parserOpts = {plugins: ['flow']};
+    var result = babel.transform(
+      'import type {Props} from "./button";\n' +
+      'import typeof Button from "./button";\n' +
+      'import {type State} from "./state";\n' +
+      'import foo, {type Foo, bar} from "./foo";',
+      babelOptions
+    );
+
+    var expectedResult = '(function () {\n' +
+      '  var foo = this["myGlobal"]["foo"];\n' +
+      '  var bar = this["myGlobalNamed"]["foo"]["bar"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+    assert.deepEqual(['foo'], result.metadata.globals.dependencies);
+
+    test.done();
+  },
+
+  testFlowTypeExports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'));
+    babelOptions.parserOpts = {plugins: ['flow']};
+    var result = babel.transform(
+      'export type Foo = string;\n' +
+      'export interface Bar {}\n' +
+      'export type {Baz} from "./baz";\n' +
+      'export var qux = 1;',
+      babelOptions
+    );
+
+    var expectedResult = '(function () {\n' +
+      '  this["myGlobalNamed"]["bar"] = this["myGlobalNamed"]["bar"] || {};\n' +
+      '  type Foo = string;\n' +
+      '  interface Bar {}\n' +
+      '  var qux = 1;\n' +
+      '  this["myGlobalNamed"]["bar"]["qux"] = qux;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+    assert.deepEqual(['qux'], result.metadata.globals.exports);
+
+    test.done();
+  },
+
+  testTypeScriptDeclarationExports: function(test) {
+    var ast = babel.transform('export var placeholder;', {ast: true, code: false}).ast;
+    ast.program.body = [
+      exportDeclaration({type: 'TSInterfaceDeclaration', id: babel.types.identifier('Props')}),
+      exportDeclaration({type: 'TSTypeAliasDeclaration', id: babel.types.identifier('Size')}),
+      exportDeclaration({type: 'TSEnumDeclaration', id: babel.types.identifier('Color'), members: []})
+    ];
+    var result = babel.transformFromAst(ast, null, {
+      code: false,
+      filename: path.resolve('foo/bar.js'),
+      plugins: [[globalsPlugin, {globalName: 'myGlobal'}]]
+    });
+
+    assert.deepEqual(['Color'], result.metadata.globals.exports);
+
+    test.done();
+  },
+
+  testImportWithNonFilePath: function(test) {
+    var result = babel.transform('import foo from "bar"', getBabelOptions());
+    var expected = '(function () {}).call(this);';
+    assert.strictEqual(expected, result.code);
+
+    test.done();
+  },
+
+  testImportFromExternals: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      externals: {
+        jquery: 'window.jQuery',
+        'lodash/fp': 'this._.fp'
+      }
+    });
+    var result = babel.transform(
+      'import $, {ajax} from "jquery";\nimport * as fp from "lodash/fp";',
+      babelOptions
+    );
+
+    var expectedResult = '(function () {\n' +
+      '  var $ = window["jQuery"];\n' +
+      '  var ajax = window["jQuery"]["ajax"];\n' +
+      '  var fp = this["_"]["fp"];\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+
+    test.done();
+  },
+
+  testUnmappedExternalsWarn: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      unmappedExternals: 'warn'
+    });
+    var warn = console.warn;
+    var messages = [];
+    console.warn = function(message) {
+      messages.push(message);
+    };
+    var result;
+    try {
+      result = babel.transform('import foo from "bar"', babelOptions);
+    } finally {
+      console.warn = warn;
+    }
+
+    assert.strictEqual('(function () {}).call(this);', result.code);
+    assert.strictEqual(1, messages.length);
+    assert.ok(messages[0].indexOf('"bar"') !== -1);
+
+    test.done();
+  },
+
+  testUnmappedExternalsThrow: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      unmappedExternals: 'throw'
+    });
+    assert.throws(function() {
+      babel.transform('import foo from "bar"', babelOptions);
+    }, /"bar" is not mapped/);
+
+    test.done();
+  },
+
+  testSingleLayoutImports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      layout: 'single'
+    });
+    var result = babel.transform('import foo, {bar} from "./foo";\nimport * as baz from "./baz";', babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  var foo = this["myGlobal"]["foo"]["default"];\n' +
+      '  var bar = this["myGlobal"]["foo"]["bar"];\n';
+    assert.strictEqual(expectedResult, result.code.substr(0, expectedResult.length));
+    assert.ok(result.code.indexOf('var baz = _namespace(this["myGlobal"]["baz"], this["myGlobal"]["baz"]["default"]);') !== -1);
+
+    var root = {myGlobal: {foo: {default: 'foo', bar: 'bar'}, baz: {default: 'baz', qux: 'qux'}}};
+    vm.runInNewContext(result.code.replace(/\}\)\.call\(this\);$/, '  this.baz = baz;\n}).call(this);'), root);
+    assert.deepEqual(['default', 'qux'], Object.keys(root.baz));
+    assert.strictEqual('baz', root.baz.default);
+
+    test.done();
+  },
+
+  testSingleLayoutExports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      layout: 'single'
+    });
+    var result = babel.transform('export default foo;\nexport var bar = 1;\nexport * from "./baz";', babelOptions);
+
+    var root = {myGlobal: {baz: {default: 'baz', qux: 'qux'}}, foo: 'foo'};
+    vm.runInNewContext(result.code, root);
+    assert.deepEqual({default: 'foo', bar: 1, qux: 'qux'}, root.myGlobal.bar);
+
+    test.done();
+  },
+
+  testSingleLayoutUmdReturn: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      layout: 'single',
+      wrapper: 'umd'
+    });
+    var result = babel.transform('export default 1;\nexport var bar = 2;', babelOptions);
+
+    assert.ok(result.code.indexOf('return this["myGlobal"]["bar"];') !== -1);
+
+    test.done();
+  },
+
+  testConflictsThrow: function(test) {
+    var code = 'export default 1;\nexport var foo = 2;';
+    var result = babel.transform(code, getBabelOptions(path.resolve('foo/bar.js'), null, {
+      conflicts: 'throw'
+    }));
+    var otherResult = babel.transform(code, getBabelOptions(path.resolve('baz/bar.js'), null, {
+      conflicts: 'throw'
+    }));
+
+    assert.ok(result.code.indexOf(
+      '_registerGlobals(this, ["myGlobalNamed.bar", "myGlobal.bar"], "foo/bar.js", "throw");'
+    ) !== -1);
+
+    var root = {myGlobal: {}, myGlobalNamed: {}};
+    vm.runInNewContext(result.code, root);
+    vm.runInNewContext(result.code, root);
+    assert.throws(function() {
+      vm.runInNewContext(otherResult.code, root);
+    }, /The global "myGlobalNamed.bar" of "baz\/bar.js" is already owned by "foo\/bar.js"/);
+    assert.strictEqual(1, root.myGlobal.bar);
+    assert.deepEqual([], Object.keys(root).filter(function(key) {
+      return key.indexOf('myGlobal') !== 0;
+    }));
+
+    test.done();
+  },
+
+  testConflictsWarn: function(test) {
+    var code = 'export default 1;';
+    var warnings = [];
+    var root = {
+      console: {
+        warn: function(message) {
+          warnings.push(message);
+        }
+      },
+      myGlobal: {}
+    };
+    vm.runInNewContext(babel.transform(code, getBabelOptions(path.resolve('foo/bar.js'), null, {
+      conflicts: 'warn'
+    })).code, root);
+    vm.runInNewContext(babel.transform('export default 2;', getBabelOptions(path.resolve('baz/bar.js'), null, {
+      conflicts: 'warn'
+    })).code, root);
+
+    assert.deepEqual(['The global "myGlobal.bar" of "baz/bar.js" is already owned by "foo/bar.js"'], warnings);
+    assert.strictEqual(2, root.myGlobal.bar);
+
+    test.done();
+  },
+
+  testConflictsWithDifferentRoots: function(test) {
+    var getGlobalName = function(root) {
+      return function(state, filePath, name, isWildcard, context) {
+        return [root, 'App', context.isDefault ? 'defaults' : 'modules', path.basename(context.absolutePath)];
+      };
+    };
+    var result = babel.transform('export default 1;', getBabelOptions(path.resolve('foo/bar.js'), getGlobalName('window'), {
+      conflicts: 'throw'
+    }));
+    var otherResult = babel.transform('export default 2;', getBabelOptions(path.resolve('baz/bar.js'), getGlobalName('this'), {
+      conflicts: 'throw'
+    }));
+
+    assert.ok(result.code.indexOf('_registerGlobals(this, ["App.defaults.bar"], "foo/bar.js", "throw");') !== -1);
+    assert.ok(otherResult.code.indexOf('_registerGlobals(this, ["App.defaults.bar"], "baz/bar.js", "throw");') !== -1);
+
+    test.done();
+  },
+
+  testConflictsWithoutExports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      conflicts: 'throw'
+    });
+    var result = babel.transform('import foo from "./foo";', babelOptions);
+
+    assert.strictEqual(-1, result.code.indexOf('_registerGlobals'));
+
+    test.done();
+  },
+
+  testHotImports: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      hot: true
+    });
+    var code = 'import foo, {bar} from "./foo";\nimport * as baz from "./baz";\n' +
+      'function get() {\n  return [foo, bar(), baz];\n}';
+    var result = babel.transform(code, babelOptions);
+
+    assert.ok(result.code.indexOf('var _foo = this["myGlobal"];') !== -1);
+    assert.ok(result.code.indexOf('var _foo2 = this["myGlobalNamed"]["foo"];') !== -1);
+    assert.ok(result.code.indexOf(
+      'var baz = _namespace(function () {\n' +
+      '    return this["myGlobalNamed"]["baz"];\n' +
+      '  }, function () {\n' +
+      '    return this["myGlobal"]["baz"];\n' +
+      '  }, this);'
+    ) !== -1);
+    assert.ok(result.code.indexOf('return [_foo["foo"], (0, _foo2["bar"])(), baz];') !== -1);
+
+    var root = {
+      myGlobal: {baz: 1, foo: 'foo'},
+      myGlobalNamed: {baz: {qux: 2}, foo: {bar: function() {}}}
+    };
+    vm.runInNewContext(result.code.replace(/\}\)\.call\(this\);$/, '  this.get = get;\n}).call(this);'), root);
+    var namespace = root.get()[2];
+    assert.strictEqual(namespace, root.get()[2]);
+    root.myGlobal.baz = 3;
+    root.myGlobalNamed.baz = {qux: 4};
+    assert.strictEqual(3, namespace.default);
+    assert.strictEqual(4, namespace.qux);
+
+    test.done();
+  },
+
+  testHotRegistry: function(test) {
+    var fooCode = 'export default 1;\nmodule.hot.dispose(function(data) {\n  data.disposed = true;\n});\n' +
+      'export var data = module.hot.data;';
+    var barCode = 'import foo from "./foo";\nmodule.hot.accept(function(key) {\n  accepted.push([key, foo]);\n});';
+    var fooResult = babel.transform(fooCode, getBabelOptions(path.resolve('foo/foo.js'), null, {hot: true}));
+    var barResult = babel.transform(barCode, getBabelOptions(path.resolve('foo/bar.js'), null, {hot: true}));
+
+    var root = {accepted: [], myGlobal: {}, myGlobalNamed: {}};
+    vm.runInNewContext(fooResult.code, root);
+    vm.runInNewContext(barResult.code, root);
+    assert.strictEqual(undefined, root.myGlobalNamed.foo.data);
+    assert.deepEqual(['bar'], root.__globalsHot.getDependents('foo'));
+
+    vm.runInNewContext(fooResult.code.replace('this["myGlobal"]["foo"] = 1', 'this["myGlobal"]["foo"] = 2'), root);
+    assert.deepEqual({disposed: true}, root.myGlobalNamed.foo.data);
+    root.__globalsHot.update('foo');
+    assert.deepEqual([['foo', 2]], root.accepted);
+    assert.deepEqual(['accepted', 'myGlobal', 'myGlobalNamed'], Object.keys(root));
+
+    test.done();
+  },
+
+  testHotWithLocalModuleBinding: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      hot: true
+    });
+    var result = babel.transform('function f(module) {\n  return module.hot;\n}', babelOptions);
+
+    assert.ok(result.code.indexOf('return module.hot;') !== -1);
+
+    test.done();
+  },
+
+  testExtensionRules: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.soy.js'), null, {
+      rules: [
+        {extension: '.soy', suffix: '$soy'},
+        {extension: '.css', globalName: 'myStyles'}
+      ]
+    });
+    var code = 'import foo from "./foo";\nimport fooTemplate from "./foo.soy";\n' +
+      'import styles from "./foo.css";\nexport default fooTemplate;';
+    var result = babel.transform(code, babelOptions);
+
+    var expectedResult = '(function () {\n' +
+      '  var foo = this["myGlobal"]["foo"];\n' +
+      '  var fooTemplate = this["myGlobal"]["foo$soy"];\n' +
+      '  var styles = this["myStyles"]["foo"];\n' +
+      '  this["myGlobal"]["bar$soy"] = fooTemplate;\n' +
+      '}).call(this);';
+    assert.strictEqual(expectedResult, result.code);
+    assert.strictEqual('bar$soy', result.metadata.globals.key);
+    assert.deepEqual(['foo', 'foo$soy'], result.metadata.globals.dependencies);
+
+    test.done();
+  },
+
+  testImportAttributeRules: function(test) {
+    var code = 'import data from "./data";\nexport * from "./data";';
+    var ast = babel.transform(code, {ast: true, babelrc: false, code: false}).ast;
+    ast.program.body.forEach(function(node) {
+      node.attributes = [{
+        type: 'ImportAttribute',
+        key: {type: 'Identifier', name: 'type'},
+        value: {type: 'StringLiteral', value: 'css'}
+      }];
+    });
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      rules: [{attributes: {type: 'css'}, globalName: 'myStyles', suffix: 'Css'}]
+    });
+    var result = babel.transformFromAst(ast, code, babelOptions);
+
+    assert.ok(result.code.indexOf('var data = this["myStyles"]["dataCss"];') !== -1);
+    assert.ok(result.code.indexOf('Object.keys(this["myStylesNamed"]["dataCss"])') !== -1);
+    assert.deepEqual(['dataCss'], result.metadata.globals.dependencies);
+
+    test.done();
+  },
+
+  testInlineRule: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('test/fixtures/bar.js'), null, {
+      rules: [{extension: '.json', inline: true}]
+    });
+    var result = babel.transform('import data from "./data.json";\nimport * as ns from "./data.json";', babelOptions);
+
+    var root = {};
+    vm.runInNewContext(result.code.replace(/\}\)\.call\(this\);$/, '  this.data = data;\n  this.ns = ns;\n}).call(this);'), root);
+    assert.deepEqual({name: 'data', values: [1, 2]}, root.data);
+    assert.deepEqual(['default'], Object.keys(root.ns));
+    assert.deepEqual([], result.metadata.globals.dependencies);
+
+    assert.throws(function() {
+      babel.transform('import {name} from "./data.json";', babelOptions);
+    }, /"\.\/data\.json" is inlined/);
+
+    test.done();
+  },
+
+  testAsyncTopLevelAwait: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      async: true
+    });
+    babelOptions.parserOpts = {parser: babelParser.parse, allowAwaitOutsideFunction: true};
+    var result = babel.transform('import foo from "./foo";\nexport default await foo();', babelOptions);
+
+    assert.ok(result.code.indexOf('_evaluate(this, "bar", ["foo"], async function () {\n' +
+      '    var foo = this["myGlobal"]["foo"];\n' +
+      '    this["myGlobal"]["bar"] = await foo();\n' +
+      '  });') !== -1);
+
+    test.done();
+  },
+
+  testAsyncTopLevelForAwait: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      async: true
+    });
+    babelOptions.parserOpts = {parser: babelParser.parse, allowAwaitOutsideFunction: true};
+    var result = babel.transform('export var items = [];\nfor await (const item of [1, 2]) {\n  items.push(item);\n}', babelOptions);
+
+    assert.ok(result.code.indexOf('_evaluate(this, "bar", [], async function () {') !== -1);
+    assert.ok(result.code.indexOf('for await (const item of [1, 2]) {') !== -1);
+
+    var root = vm.createContext({myGlobal: {}, myGlobalNamed: {}});
+    vm.runInContext(result.code, root);
+    root.__globalsReady.bar.then(function() {
+      assert.deepEqual([1, 2], root.myGlobalNamed.bar.items);
+      test.done();
+    }).catch(test.done);
+  },
+
+  testAsyncWithoutTopLevelAwait: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      async: true
+    });
+    var result = babel.transform('export default function() {\n  return this;\n}', babelOptions);
+
+    assert.ok(result.code.indexOf('_evaluate(this, "bar", [], function () {') !== -1);
+
+    var root = {myGlobal: {}};
+    vm.runInNewContext(result.code, root);
+    assert.strictEqual('function', typeof root.myGlobal.bar);
+    assert.strictEqual(true, root.__globalsReady.bar);
+
+    test.done();
+  },
+
+  testAsyncWithUmdWrapper: function(test) {
+    var babelOptions = getBabelOptions(path.resolve('foo/bar.js'), null, {
+      async: true,
+      wrapper: 'umd'
+    });
+    assert.throws(function() {
+      babel.transform('export default 1;', babelOptions);
+    }, /The "umd" wrapper can't be used with the "async" option/);
+
+    test.done();
+  },
+
+  testAsyncDependencies: function(test) {
+    var fooOptions = getBabelOptions(path.resolve('foo/foo.js'), null, {
+      async: true
+    });
+    fooOptions.parserOpts = {parser: babelParser.parse, allowAwaitOutsideFunction: true};
+    var fooResult = babel.transform('export default await Promise.resolve(1);\nexport var later = 2;', fooOptions);
+    var barResult = babel.transform('import foo, {later} from "./foo";\nexport default foo + later;', getBabelOptions(
+      path.resolve('foo/bar.js'),
+      null,
+      {async: true}
+    ));
+
+    var root = vm.createContext({myGlobal: {}, myGlobalNamed: {}});
+    vm.runInContext(fooResult.code, root);
+    vm.runInContext(barResult.code, root);
+    assert.strictEqual(undefined, root.myGlobal.bar);
+
+    root.__globalsReady.bar.then(function() {
+      assert.strictEqual(1, root.myGlobal.foo);
+      assert.strictEqual(3, root.myGlobal.bar);
+      assert.strictEqual(true, root.__globalsReady.foo);
+      test.done();
+    }).catch(test.done);
+  },
+
+  testDeclarations: function(test) {
+    var file = path.join(os.tmpdir(), 'babel-plugin-globals-' + process.pid + '.d.ts');
+    var pluginOptions = {declarations: {file: file}};
+    babel.transform('export default 1;\nexport var a = 1, b = 2;', getBabelOptions(path.resolve('foo/foo.js'), null, pluginOptions));
+    babel.transform('export {a as default} from "./foo";\nexport * from "./foo";', getBabelOptions(
+      path.resolve('foo/bar.js'),
+      null,
+      pluginOptions
+    ));
+
+    var expectedResult = '// Generated by babel-plugin-globals.\n' +
+      'declare var myGlobal: {\n' +
+      '  "bar": any;\n' +
+      '  "foo": any;\n' +
+      '};\n' +
+      'declare var myGlobalNamed: {\n' +
+      '  "bar": { [name: string]: any };\n' +
+      '  "foo": {\n' +
+      '    "a": any;\n' +
+      '    "b": any;\n' +
+      '  };\n' +
+      '};\n';
+    assert.strictEqual(expectedResult, fs.readFileSync(file, 'utf8'));
+
+    babel.transform('export var c = 3;', getBabelOptions(path.resolve('foo/foo.js'), null, pluginOptions));
+    assert.ok(fs.readFileSync(file, 'utf8').indexOf('  "foo": {\n    "c": any;\n  };\n') !== -1);
+
+    fs.unlinkSync(file);
+    test.done();
+  },
+
+  testDeclarationsReset: function(test) {
+    var file = path.join(os.tmpdir(), 'babel-plugin-globals-reset-' + process.pid + '.d.ts');
+    var pluginOptions = {declarations: {file: file}};
+    babel.transform('export default 1;', getBabelOptions(path.resolve('foo/foo.js'), null, pluginOptions));
+    globalsPlugin.resetModuleKeys();
+    babel.transform('export default 2;', getBabelOptions(path.resolve('foo/bar.js'), null, pluginOptions));
+
+    var expectedResult = '// Generated by babel-plugin-globals.\n' +
+      'declare var myGlobal: {\n' +
+      '  "bar": any;\n' +
+      '};\n';
+    assert.strictEqual(expectedResult, fs.readFileSync(file, 'utf8'));
+
+    fs.unlinkSync(file);
+    test.done();
+  },
+
+  testDeclarationsWithImportTypes: function(test) {
+    var file = path.join(os.tmpdir(), 'babel-plugin-globals-types-' + process.pid + '.d.ts');
+    var source = path.relative(os.tmpdir(), path.resolve('src/foo')).split(path.sep).join('/');
+    source = source[0] === '.' ? source : './' + source;
+    var babelOptions = getBabelOptions(path.resolve('src/foo.js'), function(state, filePath, name, isWildcard, context) {
+      return ['window', 'lib-1.2', context.relativePath].concat(context.name ? [context.name] : []);
+    }, {declarations: {file: file, importTypes: true}});
+    babel.transform('export default 1;\nexport var a = 1;', babelOptions);
+
+    var expectedResult = '// Generated by babel-plugin-globals.\n' +
+      'interface Window {\n' +
+      '  "lib-1.2": {\n' +
+      '    "src/foo": {\n' +
+      '      "a": typeof import("' + source + '")["a"];\n' +
+      '    } & typeof import("' + source + '")["default"];\n' +
+      '  };\n' +
+      '}\n';
+    assert.strictEqual(expectedResult, fs.readFileSync(file, 'utf8'));
+
+    fs.unlinkSync(file);
+    test.done();
+  },
+
+  testDeclarationsWithoutRoot: function(test) {
+    var file = path.join(os.tmpdir(), 'babel-plugin-globals-root-' + process.pid + '.d.ts');
+    var babelOptions = getBabelOptions(path.resolve('src/foo.js'), function(state, filePath, name) {
+      return 'App.modules.foo' + (name ? '.' + name : '');
+    }, {declarations: {file: file}});
+    babel.transform('export var a = 1;', babelOptions);
+
+    var expectedResult = '// Generated by babel-plugin-globals.\n' +
+      'declare var App: {\n' +
+      '  "modules": {\n' +
+      '    "foo": {\n' +
+      '      "a": any;\n' +
+      '    };\n' +
+      '  };\n' +
+      '};\n';
+    assert.strictEqual(expectedResult, fs.readFileSync(file, 'utf8'));
+
+    fs.unlinkSync(file);
+    test.done();
+  }
+};
+
+function exportDeclaration(declaration) {
+  return {
+    type: 'ExportNamedDeclaration',
+    declaration: declaration,
+    exportKind: 'value',
+    specifiers: []
+  };
+}
+
+function getOriginalLine(result, code) {
+  var lines = result.code.split('\n');
+  for (var i = 0; i < lines.length; i++) {
+    var column = lines[i].indexOf(code);
+    if (column !== -1) {
+      var consumer = new sourceMap.SourceMapConsumer(result.map);
+      return consumer.originalPositionFor({line: i + 1, column: column}).line;
+    }
+  }
+  throw new Error('Code not found: ' + code);
+}
+
+function getBabelOptions(filename, globalName, opt_pluginOptions) {
+  var pluginOptions = opt_pluginOptions || {};
+  pluginOptions.globalName = globalName || 'myGlobal';
+  return {
+    filename: filename,
+    plugins: [
+      [globalsPlugin, pluginOptions]
     ]
   };
 }